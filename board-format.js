@@ -0,0 +1,306 @@
+/**
+ * Board Format for Originium Circuitry Solver
+ * Versioned JSON for solver setups, used by Export/Import and shareable URLs.
+ *
+ * {
+ *   version: 3,
+ *   rows: 5, cols: 5,
+ *   colors: ['green', 'blue'],              // colors the solver works with
+ *   grid: ['..#..', 'g....', ...],          // one string per row, see BOARD_CELL_CODES
+ *   requirements: {                         // per color, only colors that have any
+ *     rows: { green: [1, 0, 2, 0, 1] },
+ *     cols: { green: [0, 2, 1, 1, 0] }
+ *   },
+ *   shapes: { 'L-4': 2, 'square-4': 1 },    // selected shape id -> count, shared by all colors
+ *   inventories: { green: { 'L-4': 1 } },   // or per-color pieces instead of shapes (version 2)
+ *   customShapes: { 'custom-…': { name, cells, allowReflection } },  // only if used
+ *   pins: [{ shapeId: 'L-4', color: 'green', rotation: 1, cells: [[0, 0], ...] }],  // pinned pieces (version 3)
+ *   seed: 1234567                           // generated puzzles only
+ * }
+ */
+
+// The page loads the shape library and solver as global scripts; in Node they are modules, so take
+// what the board format uses from them into this module's scope
+if (typeof module !== 'undefined' && module.exports) {
+    var { SHAPE_LIBRARY, addShapeToLibrary, shapesEqual, getShapeBounds } = require('./shapes.js');
+    var { isColorInventory, getInventoryShapeIds } = require('./solver.js');
+}
+
+const BOARD_FORMAT_VERSION = 3;
+
+const BOARD_COLORS = ['green', 'blue', 'red', 'purple'];
+
+// Single-character codes for grid cell states
+const BOARD_CELL_CODES = {
+    'empty': '.',
+    'blocked': '#',
+    'locked-green': 'g',
+    'locked-blue': 'b',
+    'locked-red': 'r',
+    'locked-purple': 'p',
+    'pinned-green': 'G',
+    'pinned-blue': 'B',
+    'pinned-red': 'R',
+    'pinned-purple': 'P'
+};
+
+/**
+ * Build a board object from solver state
+ * requirements: { rows: [{ color: count }], cols: [...] }
+ * shapeCounts: { shapeId: count }, or a per-color inventory { color: { shapeId: count } }
+ * pinnedPieces: [{ shapeId, color, rotationIndex, cells }] fixed in place for the solver
+ */
+function serializeBoard(rows, cols, gridState, requirements, shapeCounts, colors, pinnedPieces = []) {
+    const grid = gridState.map(row => row.map(state => BOARD_CELL_CODES[state] || '.').join(''));
+
+    const boardRequirements = { rows: {}, cols: {} };
+    for (const color of BOARD_COLORS) {
+        const rowValues = requirements.rows.map(req => req[color] || 0);
+        const colValues = requirements.cols.map(req => req[color] || 0);
+        if (rowValues.some(v => v > 0) || colValues.some(v => v > 0)) {
+            boardRequirements.rows[color] = rowValues;
+            boardRequirements.cols[color] = colValues;
+        }
+    }
+
+    // Custom shapes travel with the board; a generated mirror needs its original's definition
+    const customShapes = {};
+    const usedShapeIds = new Set([...getInventoryShapeIds(shapeCounts), ...pinnedPieces.map(piece => piece.shapeId)]);
+    for (const shapeId of usedShapeIds) {
+        const shape = SHAPE_LIBRARY[shapeId];
+        if (!shape || !shape.isCustom) continue;
+
+        const baseId = shape.isMirror ? shape.chiralPartner : shapeId;
+        const base = SHAPE_LIBRARY[baseId];
+        customShapes[baseId] = {
+            name: base.name,
+            cells: base.baseShape,
+            allowReflection: Boolean(base.chiralPartner)
+        };
+    }
+
+    const board = {
+        version: BOARD_FORMAT_VERSION,
+        rows,
+        cols,
+        colors: [...colors],
+        grid,
+        requirements: boardRequirements
+    };
+    if (isColorInventory(shapeCounts)) {
+        board.inventories = JSON.parse(JSON.stringify(shapeCounts));
+    } else {
+        board.shapes = { ...shapeCounts };
+    }
+    if (Object.keys(customShapes).length > 0) {
+        board.customShapes = customShapes;
+    }
+    if (pinnedPieces.length > 0) {
+        board.pins = pinnedPieces.map(({ shapeId, color, rotationIndex, cells }) =>
+            ({ shapeId, color, rotation: rotationIndex, cells: cells.map(([r, c]) => [r, c]) }));
+    }
+    return board;
+}
+
+/**
+ * Board for a generated puzzle: its blockers, locks and requirements, with the puzzle's
+ * pieces as per-color inventories, and the seed it was generated from
+ */
+function serializePuzzle(puzzle, colors) {
+    const gridState = puzzle.grid.map(row => row.map(cell =>
+        cell === 'blocked' || cell.startsWith('locked-') ? cell : 'empty'
+    ));
+    const inventories = {};
+    for (const color of colors) {
+        inventories[color] = {};
+        for (const shape of puzzle.shapes[color] || []) {
+            inventories[color][shape.shapeId] = (inventories[color][shape.shapeId] || 0) + 1;
+        }
+    }
+
+    const board = serializeBoard(gridState.length, gridState[0].length, gridState, puzzle.requirements, inventories, colors);
+    board.seed = puzzle.seed;
+    return board;
+}
+
+/**
+ * Check a board object and expand it into solver state
+ * Throws an Error describing the first problem found.
+ * Returns { rows, cols, colors, gridState, requirements, shapeCounts, customShapes, pinnedPieces }
+ * shapeCounts is a per-color inventory when the board has inventories.
+ * pinnedPieces is [{ shapeId, color, rotationIndex, cells }], empty for boards without pins.
+ */
+function parseBoard(board) {
+    if (!board || typeof board !== 'object') {
+        throw new Error('Board must be a JSON object');
+    }
+    if (typeof board.version !== 'number') {
+        throw new Error('Board has no format version');
+    }
+    if (board.version > BOARD_FORMAT_VERSION) {
+        throw new Error(`Board format version ${board.version} is newer than this solver supports (${BOARD_FORMAT_VERSION})`);
+    }
+
+    const { rows, cols } = board;
+    const sizeOk = n => Number.isInteger(n) && n >= 2 && n <= 10;
+    if (!sizeOk(rows) || !sizeOk(cols)) {
+        throw new Error('Board size must be between 2x2 and 10x10');
+    }
+
+    // Grid
+    const stateForCode = Object.fromEntries(Object.entries(BOARD_CELL_CODES).map(([state, code]) => [code, state]));
+    if (!Array.isArray(board.grid) || board.grid.length !== rows) {
+        throw new Error(`Board grid must have ${rows} rows`);
+    }
+    const gridState = board.grid.map((line, r) => {
+        if (typeof line !== 'string' || line.length !== cols) {
+            throw new Error(`Grid row ${r + 1} must have ${cols} cells`);
+        }
+        return [...line].map(code => {
+            if (!stateForCode[code]) {
+                throw new Error(`Unknown cell code "${code}" in grid row ${r + 1}`);
+            }
+            return stateForCode[code];
+        });
+    });
+
+    // Colors
+    const colors = board.colors === undefined ? ['green', 'blue'] : board.colors;
+    if (!Array.isArray(colors) || colors.length === 0 || colors.some(color => !BOARD_COLORS.includes(color))) {
+        throw new Error(`Board colors must be a non-empty list of: ${BOARD_COLORS.join(', ')}`);
+    }
+
+    // Requirements, expanded to one { color: count } object per line
+    const requirements = {
+        rows: Array.from({ length: rows }, () => Object.fromEntries(BOARD_COLORS.map(color => [color, 0]))),
+        cols: Array.from({ length: cols }, () => Object.fromEntries(BOARD_COLORS.map(color => [color, 0])))
+    };
+    const boardRequirements = board.requirements || {};
+    for (const [type, lineCount, max] of [['rows', rows, cols], ['cols', cols, rows]]) {
+        for (const [color, values] of Object.entries(boardRequirements[type] || {})) {
+            if (!BOARD_COLORS.includes(color)) {
+                throw new Error(`Unknown requirement color "${color}"`);
+            }
+            const valid = Array.isArray(values) && values.length === lineCount &&
+                values.every(v => Number.isInteger(v) && v >= 0 && v <= max);
+            if (!valid) {
+                throw new Error(`${color} ${type} requirements must be ${lineCount} whole numbers from 0 to ${max}`);
+            }
+            values.forEach((value, i) => { requirements[type][i][color] = value; });
+        }
+    }
+
+    // Custom shape definitions
+    const customShapes = board.customShapes || {};
+    for (const [id, definition] of Object.entries(customShapes)) {
+        const cellsOk = definition && Array.isArray(definition.cells) && definition.cells.length > 0 &&
+            definition.cells.every(cell => Array.isArray(cell) && cell.length === 2 && cell.every(Number.isInteger));
+        if (!cellsOk || typeof definition.name !== 'string') {
+            throw new Error(`Custom shape "${id}" needs a name and a list of [row, col] cells`);
+        }
+    }
+
+    // Selected shapes must exist here or come with the board
+    const isKnownShape = id => Boolean(SHAPE_LIBRARY[id] || customShapes[id] ||
+        (id.endsWith('-mirror') && customShapes[id.slice(0, -'-mirror'.length)]));
+    const readCounts = counts => {
+        const result = {};
+        for (const [id, count] of Object.entries(counts || {})) {
+            if (!isKnownShape(id)) {
+                throw new Error(`Unknown shape "${id}"`);
+            }
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error(`Shape "${id}" count must be a positive whole number`);
+            }
+            result[id] = count;
+        }
+        return result;
+    };
+
+    let shapeCounts;
+    if (board.inventories) {
+        shapeCounts = {};
+        for (const [color, counts] of Object.entries(board.inventories)) {
+            if (!BOARD_COLORS.includes(color)) {
+                throw new Error(`Unknown inventory color "${color}"`);
+            }
+            shapeCounts[color] = readCounts(counts);
+        }
+    } else {
+        shapeCounts = readCounts(board.shapes);
+    }
+
+    // Pinned pieces must be their shape in the given rotation; whether they fit among the board's
+    // other cells is left to the solver (lockPinnedPieces)
+    if (board.pins !== undefined && !Array.isArray(board.pins)) {
+        throw new Error('Board pins must be a list');
+    }
+    const boardShapes = {};
+    for (const [id, definition] of Object.entries(customShapes)) {
+        addShapeToLibrary(boardShapes, id, definition, true);
+    }
+    const toOrigin = cells => {
+        const { minRow, minCol } = getShapeBounds(cells);
+        return cells.map(([r, c]) => [r - minRow, c - minCol]);
+    };
+    const pinnedPieces = (board.pins || []).map((pin, i) => {
+        const shape = pin && typeof pin.shapeId === 'string' && (SHAPE_LIBRARY[pin.shapeId] || boardShapes[pin.shapeId]);
+        if (!shape) {
+            throw new Error(`Unknown shape "${pin && pin.shapeId}" in pin ${i + 1}`);
+        }
+        if (!BOARD_COLORS.includes(pin.color)) {
+            throw new Error(`Pin ${i + 1} color must be one of: ${BOARD_COLORS.join(', ')}`);
+        }
+        if (!Number.isInteger(pin.rotation) || pin.rotation < 0 || pin.rotation >= shape.rotations.length) {
+            throw new Error(`Pin ${i + 1} rotation must be a whole number from 0 to ${shape.rotations.length - 1}`);
+        }
+        const cellsOk = Array.isArray(pin.cells) && pin.cells.length > 0 && pin.cells.every(cell =>
+            Array.isArray(cell) && cell.length === 2 && cell.every(Number.isInteger) &&
+            cell[0] >= 0 && cell[0] < rows && cell[1] >= 0 && cell[1] < cols);
+        if (!cellsOk) {
+            throw new Error(`Pin ${i + 1} needs a list of [row, col] cells on the board`);
+        }
+        if (!shapesEqual(toOrigin(pin.cells), toOrigin(shape.rotations[pin.rotation]))) {
+            throw new Error(`Pin ${i + 1} cells are not a ${shape.name} in rotation ${pin.rotation}`);
+        }
+        return { shapeId: pin.shapeId, color: pin.color, rotationIndex: pin.rotation, cells: pin.cells.map(([r, c]) => [r, c]) };
+    });
+
+    return { rows, cols, colors, gridState, requirements, shapeCounts, customShapes, pinnedPieces };
+}
+
+/**
+ * Encode a board for a URL hash (base64url of its JSON)
+ */
+function encodeBoardHash(board) {
+    const bytes = new TextEncoder().encode(JSON.stringify(board));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a board from encodeBoardHash output
+ */
+function decodeBoardHash(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Node loads the board format as a CommonJS module (require, or import from ES modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOARD_FORMAT_VERSION,
+        BOARD_COLORS,
+        BOARD_CELL_CODES,
+        serializeBoard,
+        serializePuzzle,
+        parseBoard,
+        encodeBoardHash,
+        decodeBoardHash
+    };
+}
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * Command-line Solver and Generator for Originium Circuitry
+ * Solves board files (the Export/Import JSON) and generates puzzles outside the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { refreshShapeLibrary } = require('./shapes.js');
+const {
+    removeLockedCells,
+    diagnoseBoard,
+    runSolverWithShapeCounts,
+    getInventoryShapeIds,
+    buildSolution,
+    getSolutionPieces,
+    describeSolutionCount,
+    lockPinnedPieces,
+    addPinnedPieces
+} = require('./solver.js');
+const { PuzzleGenerator, generateRatedPuzzle, normalizeSeed, randomSeed, DIFFICULTY_POOLS, ratePuzzle } = require('./puzzle-generator.js');
+const { parseBoard, serializePuzzle, BOARD_CELL_CODES, BOARD_COLORS } = require('./board-format.js');
+
+// Grid sizes custom generation takes, as in puzzle mode
+const GENERATE_MIN_SIZE = 4;
+const GENERATE_MAX_SIZE = 10;
+
+const USAGE = `Usage:
+  circuitry solve <board.json>... [options]
+      --max <n>            solutions to print per board (default 1)
+      --count-only         only count solutions
+      --limit <n>          stop counting after n solutions (default 1000)
+      --engine <name>      backtrack or dlx (default backtrack)
+      --reflection         let chiral pieces be placed mirrored
+      --all-pieces         place every piece the board lists
+      --json               print one JSON object per board instead of grids
+      --time               report solve time and nodes explored
+
+  circuitry generate [options]
+      --difficulty <name>  ${Object.keys(DIFFICULTY_POOLS).join(', ')} (default medium),
+                           kept to puzzles rated for that difficulty
+      --rows <n> --cols <n>
+                           custom grid size from ${GENERATE_MIN_SIZE} to ${GENERATE_MAX_SIZE}, used instead of a difficulty
+      --colors <list>      custom colors, comma separated (default green,blue)
+      --blockers --locks --unique
+                           custom features: blocked cells, locked cells, single answer
+      --seed <seed>        seed of the first puzzle; the next ones count up from it
+      --count <n>          puzzles to generate (default 1)
+      --out <path>         file for one puzzle, or a directory for several;
+                           without it puzzles are printed one JSON object per line
+
+Solutions are drawn with . for empty cells, # for blocked cells, lowercase letters
+for locked cells and capital letters for placed pieces (G, B, R, P).`;
+
+// Letter for each color's pieces in printed grids
+const PIECE_CODES = Object.fromEntries(BOARD_COLORS.map(color => [color, color[0].toUpperCase()]));
+
+/**
+ * Solve one board file
+ * Returns { file, message, solutionCount, complete, nodesExplored, timeMs, solutions, board } or { file, error }
+ */
+function solveBoardFile(file, options) {
+    let board;
+    try {
+        board = parseBoard(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+        return { file, error: e.message };
+    }
+    if (Object.keys(board.customShapes).length > 0) {
+        refreshShapeLibrary(board.customShapes);
+    }
+    if (getInventoryShapeIds(board.shapeCounts).length === 0) {
+        return { file, error: 'Board selects no pieces' };
+    }
+
+    // Pinned pieces become locked cells and leave the inventory, as on the page
+    const { rows, cols, requirements, colors, pinnedPieces } = board;
+    const pinned = lockPinnedPieces(rows, cols, board.gridState, board.shapeCounts, pinnedPieces, colors,
+        { allowReflection: options.reflection });
+    const { gridState, shapeCounts } = pinned;
+    const issues = pinned.issues.length > 0 ? pinned.issues : diagnoseBoard(rows, cols, gridState,
+        requirements.rows, requirements.cols, shapeCounts, colors, { requireAllPieces: options.allPieces });
+    if (issues.length > 0) {
+        return { file, error: issues.map(issue => issue.message).join('; ') };
+    }
+
+    const start = Date.now();
+    const unlocked = removeLockedCells(rows, cols, gridState, requirements.rows, requirements.cols, colors);
+    const lockedOnly = colors.every(color =>
+        unlocked.rowReqs.every(req => req[color] === 0) && unlocked.colReqs.every(req => req[color] === 0)
+    );
+    const result = lockedOnly
+        ? { solutions: [buildSolution(colors, {})], solutionCount: 1, complete: true, nodesExplored: 0 }
+        : runSolverWithShapeCounts(rows, cols, unlocked.gridState, unlocked.rowReqs, unlocked.colReqs, shapeCounts, colors, {
+            engine: options.engine,
+            allowReflection: options.reflection,
+            requireAllPieces: options.allPieces,
+            maxSolutions: options.count ? 0 : options.max,
+            countLimit: options.limit
+        });
+
+    return {
+        file,
+        message: describeSolutionCount(result.solutionCount || 0, result.complete),
+        solutionCount: result.solutionCount || 0,
+        complete: Boolean(result.complete),
+        nodesExplored: result.nodesExplored || 0,
+        timeMs: Date.now() - start,
+        solutions: (result.solutions || []).map(solution => addPinnedPieces(solution, pinnedPieces)),
+        board
+    };
+}
+
+/**
+ * Draw a solution as text, one string per row
+ */
+function formatSolutionGrid(board, solution) {
+    const grid = board.gridState.map(row => row.map(state => BOARD_CELL_CODES[state] || '.'));
+    for (const color of board.colors) {
+        for (const [r, c] of solution[color] || []) {
+            grid[r][c] = PIECE_CODES[color];
+        }
+    }
+    return grid.map(row => row.join(''));
+}
+
+function runSolve(files, options) {
+    if (files.length === 0) {
+        throw new Error('solve needs at least one board file');
+    }
+    if (!['backtrack', 'dlx'].includes(options.engine)) {
+        throw new Error(`Unknown engine "${options.engine}"`);
+    }
+
+    let failed = false;
+    for (const file of files) {
+        const result = solveBoardFile(file, options);
+        if (result.error || result.solutionCount === 0) failed = true;
+
+        if (options.json) {
+            const output = result.error ? result : {
+                file: result.file,
+                solutionCount: result.solutionCount,
+                complete: result.complete,
+                ...(options.time ? { timeMs: result.timeMs, nodesExplored: result.nodesExplored } : {}),
+                solutions: result.solutions.map(solution => ({
+                    grid: formatSolutionGrid(result.board, solution),
+                    pieces: getSolutionPieces(solution, result.board.colors)
+                }))
+            };
+            console.log(JSON.stringify(output));
+            continue;
+        }
+
+        if (result.error) {
+            console.log(`${file}: ${result.error}`);
+            continue;
+        }
+        console.log(`${file}: ${result.message}`);
+        if (options.time) {
+            console.log(`  ${result.timeMs} ms, ${result.nodesExplored.toLocaleString()} nodes explored`);
+        }
+        result.solutions.forEach((solution, index) => {
+            console.log(`\nSolution ${index + 1}:`);
+            formatSolutionGrid(result.board, solution).forEach(line => console.log(`  ${line}`));
+        });
+        console.log();
+    }
+    return failed ? 1 : 0;
+}
+
+/**
+ * Generator config for a custom grid size from the command-line options
+ */
+function getGenerateConfig(options) {
+    const colors = options.colors.split(',').map(color => color.trim());
+    const unknown = colors.find(color => !BOARD_COLORS.includes(color));
+    if (unknown) throw new Error(`Unknown color "${unknown}"`);
+    return {
+        gridRows: options.rows || options.cols,
+        gridCols: options.cols || options.rows,
+        colors,
+        blockers: options.blockers,
+        locks: options.locks,
+        uniqueSolution: options.unique
+    };
+}
+
+/**
+ * One puzzle from the command-line options: a rated puzzle of the difficulty preset, or one of
+ * the custom grid size. Returns { puzzle, config } with the rating on the puzzle, or null.
+ * quiet keeps the generator's progress logs out of the output.
+ */
+function generateFromOptions(options, seed) {
+    if (!options.rows && !options.cols) {
+        return generateRatedPuzzle(options.difficulty, seed, { quiet: true });
+    }
+    const config = getGenerateConfig(options);
+    const puzzle = PuzzleGenerator.generate({ ...config, seed, quiet: true });
+    return puzzle && { puzzle: { ...puzzle, rating: ratePuzzle(puzzle, config.colors) }, config };
+}
+
+function runGenerate(options) {
+    if (!options.rows && !options.cols && !DIFFICULTY_POOLS[options.difficulty]) {
+        throw new Error(`Unknown difficulty "${options.difficulty}"`);
+    }
+    const firstSeed = options.seed !== undefined ? normalizeSeed(options.seed) : randomSeed();
+    const toDirectory = options.out && (options.count > 1 || fs.existsSync(options.out) && fs.statSync(options.out).isDirectory());
+    if (toDirectory) fs.mkdirSync(options.out, { recursive: true });
+
+    let failed = false;
+    for (let i = 0; i < options.count; i++) {
+        const seed = (firstSeed + i) >>> 0;
+        const generated = generateFromOptions(options, seed);
+        if (!generated) {
+            console.error(`Could not generate a puzzle from seed ${seed}`);
+            failed = true;
+            continue;
+        }
+        const { puzzle, config } = generated;
+
+        const board = serializePuzzle(puzzle, config.colors);
+        if (!options.out) {
+            console.log(JSON.stringify(board));
+            continue;
+        }
+        const file = toDirectory ? path.join(options.out, `puzzle-${seed}.json`) : options.out;
+        fs.writeFileSync(file, JSON.stringify(board, null, 2) + '\n');
+        const { rating } = puzzle;
+        console.error(`Wrote ${file} (${config.gridRows}x${config.gridCols}, ${config.colors.join('/')}, rated ${rating.score} ${rating.difficulty})`);
+    }
+    return failed ? 1 : 0;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            help: { type: 'boolean', short: 'h' },
+            max: { type: 'string' },
+            count: { type: 'string' },
+            'count-only': { type: 'boolean' },
+            limit: { type: 'string' },
+            engine: { type: 'string' },
+            reflection: { type: 'boolean' },
+            'all-pieces': { type: 'boolean' },
+            json: { type: 'boolean' },
+            time: { type: 'boolean' },
+            difficulty: { type: 'string' },
+            rows: { type: 'string' },
+            cols: { type: 'string' },
+            colors: { type: 'string' },
+            blockers: { type: 'boolean' },
+            locks: { type: 'boolean' },
+            unique: { type: 'boolean' },
+            seed: { type: 'string' },
+            out: { type: 'string' }
+        }
+    });
+
+    const [command, ...rest] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const positiveInt = (name, fallback) => {
+        if (values[name] === undefined) return fallback;
+        const n = Number(values[name]);
+        if (!Number.isInteger(n) || n < 1) throw new Error(`--${name} must be a positive whole number`);
+        return n;
+    };
+
+    const gridSize = name => {
+        const n = positiveInt(name, undefined);
+        if (n !== undefined && (n < GENERATE_MIN_SIZE || n > GENERATE_MAX_SIZE)) {
+            throw new Error(`--${name} must be from ${GENERATE_MIN_SIZE} to ${GENERATE_MAX_SIZE}`);
+        }
+        return n;
+    };
+
+    if (command === 'solve') {
+        return runSolve(rest, {
+            max: positiveInt('max', 1),
+            count: Boolean(values['count-only']),
+            limit: positiveInt('limit', 1000),
+            engine: values.engine || 'backtrack',
+            reflection: Boolean(values.reflection),
+            allPieces: Boolean(values['all-pieces']),
+            json: Boolean(values.json),
+            time: Boolean(values.time)
+        });
+    }
+    if (command === 'generate') {
+        return runGenerate({
+            difficulty: values.difficulty || 'medium',
+            rows: gridSize('rows'),
+            cols: gridSize('cols'),
+            colors: values.colors || 'green,blue',
+            blockers: Boolean(values.blockers),
+            locks: Boolean(values.locks),
+            unique: Boolean(values.unique),
+            seed: values.seed,
+            count: positiveInt('count', 1),
+            out: values.out
+        });
+    }
+    throw new Error(`Unknown command "${command}"`);
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (e) {
+        console.error(`circuitry: ${e.message}`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { main, solveBoardFile, formatSolutionGrid };
@@ -0,0 +1,659 @@
+/**
+ * Deduction Solver for Originium Circuitry
+ * Solves a board the way players do, one justified step at a time, so the page can
+ * walk through why each cell ends up colored or empty.
+ *
+ * Every open cell keeps the values it may still take: a board color, or empty. Steps come
+ * from these rules, tried in order:
+ *   line-done     a line has all the cells of a color it needs, so its other cells are not that color
+ *   line-full     a line needs as many cells of a color as it has cells that can still be that color
+ *   line-colored  a line needs as many colored cells as it has open cells, so none of them stays empty
+ *   unreachable   no piece of a color can still cover a cell, so it is not that color
+ *   only-cover    a cell known to be a color can be covered by one placement only
+ *   only-place    a piece that has to be used fits in one place only
+ *   must-cover    every placement that can cover a known cell also covers some other cells
+ *   overlap       every place a piece that has to be used fits shares some cells
+ * When no rule applies the solver guesses, marks that step as a guess and backs up if the
+ * guess runs into a contradiction.
+ */
+
+// The page and the worker load the shape library and solver as global scripts; in Node they are
+// modules, so take what deduction uses from them into this module's scope
+if (typeof module !== 'undefined' && module.exports) {
+    var { SHAPE_LIBRARY } = require('./shapes.js');
+    var {
+        generatePlacementsForPiece,
+        hasColorRequirement,
+        removeLockedCells,
+        getBlockedCells,
+        getPinnedCells,
+        isColorInventory,
+        getInventoryShapeIds,
+        mergeChiralCounts,
+        buildSolution
+    } = require('./solver.js');
+}
+
+// Guesses tried before the deduction solver gives up
+const DEDUCTION_GUESS_LIMIT = 20000;
+
+/**
+ * Solve a board step by step
+ * Arguments are as for runSolverWithShapeCounts, except that gridState may hold locked cells
+ * (they count toward the requirements). Pinned cells start out known to be their color. shapeCounts are shared counts or a per-color inventory.
+ * options: { allowReflection, requireAllPieces, guessLimit }
+ * Returns { success, message, steps, solution, guesses, backtracks, complete }
+ *   steps: [{ rule, guess, message, lines, cells, piece, decided }] in the order they were made
+ *     rule: one of the rules above, or 'guess'
+ *     lines: [{ type: 'row' | 'col', index, color }] the step reasons about
+ *     cells: [[r, c]] the step is about (the cells it changes, or the cell a guess covers)
+ *     piece: { shapeId, color, rotationIndex, cells } for steps that place a piece
+ *     decided: [{ cell: [r, c], value }] cells whose value (a color or 'empty') the step settles
+ *   solution: as from runSolverWithShapeCounts, or null
+ *   guesses: guess steps in the returned steps; backtracks: guesses that were undone
+ *   complete is false when the solver gave up at the guess limit
+ * When there is no solution, steps are the deductions made before the first guess, and
+ * message names the contradiction if no guess was needed to find it.
+ */
+function runDeductionSolver(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors = ['green', 'blue'], options = {}) {
+    const unlocked = removeLockedCells(gridRows, gridCols, gridState, rowReqs, colReqs, colors);
+    const activeColors = colors.filter(color => hasColorRequirement(unlocked.rowReqs, unlocked.colReqs, color));
+    if (activeColors.length === 0) {
+        return { success: false, message: 'No requirements specified', steps: [], solution: null, guesses: 0, backtracks: 0, complete: true };
+    }
+
+    const problem = createDeductionProblem(gridRows, gridCols, unlocked, shapeCounts, activeColors, options);
+    const stats = { guesses: 0, backtracks: 0, guessLimit: options.guessLimit || DEDUCTION_GUESS_LIMIT, firstSteps: null, contradiction: null };
+    const found = deduce(problem, createDeductionState(problem), [], stats);
+
+    if (!found) {
+        const gaveUp = stats.guesses >= stats.guessLimit;
+        let message = 'No solution: every guess ran into a contradiction';
+        if (gaveUp) message = `Gave up after ${stats.guesses.toLocaleString()} guess${stats.guesses === 1 ? '' : 'es'}`;
+        else if (stats.guesses === 0) message = `No solution: ${stats.contradiction}`;
+        return { success: false, message, steps: stats.firstSteps || [], solution: null, guesses: 0, backtracks: stats.backtracks, complete: !gaveUp };
+    }
+
+    const guesses = found.steps.filter(step => step.guess).length;
+    const colorResults = {};
+    for (const color of activeColors) {
+        const placements = found.state.placed.filter(piece => piece.color === color)
+            .map(({ shapeId, rotationIndex, cells }) => ({ shapeId, rotationIndex, cells }));
+        colorResults[color] = { placements, cells: placements.flatMap(placement => placement.cells) };
+    }
+
+    return {
+        success: true,
+        message: guesses === 0
+            ? `Solved by deduction in ${found.steps.length} steps`
+            : `Solved in ${found.steps.length} steps with ${guesses} guess${guesses === 1 ? '' : 'es'}`,
+        steps: found.steps,
+        solution: buildSolution(colors, colorResults),
+        guesses,
+        backtracks: stats.backtracks,
+        complete: true
+    };
+}
+
+/**
+ * The fixed parts of a board: lines, requirements and every placement a piece could take
+ * Cell values are bit masks: bit i for colors[i], and the EMPTY bit for a cell left empty.
+ */
+function createDeductionProblem(gridRows, gridCols, unlocked, shapeCounts, colors, options) {
+    const EMPTY = 1 << colors.length;
+    const blockedSet = new Set(getBlockedCells(gridRows, gridCols, unlocked.gridState).map(([r, c]) => `${r},${c}`));
+    const blocked = Array.from({ length: gridRows * gridCols }, (_, i) => blockedSet.has(`${Math.floor(i / gridCols)},${i % gridCols}`));
+
+    // Values each cell starts with: none when blocked, only its color when pinned
+    const ALL = (EMPTY << 1) - 1;
+    const start = blocked.map(isBlocked => isBlocked ? 0 : ALL);
+    for (const { cell: [r, c], color } of getPinnedCells(gridRows, gridCols, unlocked.gridState)) {
+        start[r * gridCols + c] = colors.includes(color) ? 1 << colors.indexOf(color) : 0;
+    }
+
+    // Open cells (by index r * gridCols + c) and per-color requirement of every row, then every column
+    const lines = [];
+    for (let r = 0; r < gridRows; r++) {
+        const cells = Array.from({ length: gridCols }, (_, c) => r * gridCols + c).filter(i => !blocked[i]);
+        lines.push({ type: 'row', index: r, cells, req: colors.map(color => unlocked.rowReqs[r][color] || 0) });
+    }
+    for (let c = 0; c < gridCols; c++) {
+        const cells = Array.from({ length: gridRows }, (_, r) => r * gridCols + c).filter(i => !blocked[i]);
+        lines.push({ type: 'col', index: c, cells, req: colors.map(color => unlocked.colReqs[c][color] || 0) });
+    }
+
+    // Each color draws from its own pool of pieces, or all colors from one shared pool
+    shapeCounts = mergeChiralCounts(shapeCounts, options.allowReflection);
+    const perColor = isColorInventory(shapeCounts);
+    const pools = {};
+    const poolOf = colors.map(color => perColor ? color : 'shared');
+    for (const [ci, color] of colors.entries()) {
+        pools[poolOf[ci]] = { ...(perColor ? shapeCounts[color] || {} : shapeCounts) };
+    }
+
+    // Placements of every piece in every color that may use it
+    const candidates = [];
+    for (const shapeId of getInventoryShapeIds(shapeCounts)) {
+        const placements = generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, options.allowReflection);
+        for (const [ci, color] of colors.entries()) {
+            if (!(pools[poolOf[ci]][shapeId] > 0)) continue;
+            for (const placement of placements) {
+                candidates.push({
+                    pieceId: shapeId,
+                    shapeId: placement.shapeId,
+                    rotationIndex: placement.rotationIndex,
+                    color,
+                    colorIndex: ci,
+                    cells: placement.cells.map(([r, c]) => r * gridCols + c)
+                });
+            }
+        }
+    }
+
+    return {
+        gridRows, gridCols, colors, EMPTY,
+        ALL,
+        blocked,
+        start,
+        lines,
+        poolOf,
+        pools,
+        candidates,
+        requireAllPieces: Boolean(options.requireAllPieces)
+    };
+}
+
+/**
+ * What the solver knows: the values each cell may take, which cells are covered by
+ * placed pieces, and the pieces left in each pool
+ */
+function createDeductionState(problem) {
+    return {
+        masks: [...problem.start],
+        covered: problem.blocked.map(() => false),
+        pools: JSON.parse(JSON.stringify(problem.pools)),
+        placed: []
+    };
+}
+
+function cloneDeductionState(state) {
+    return {
+        masks: [...state.masks],
+        covered: [...state.covered],
+        pools: JSON.parse(JSON.stringify(state.pools)),
+        placed: [...state.placed]
+    };
+}
+
+/**
+ * Apply deductions until the board is solved, then guess when they run out
+ * Returns { state, steps } for a solution, or null when this branch has none
+ */
+function deduce(problem, state, steps, stats) {
+    for (;;) {
+        const next = findNextDeduction(problem, state);
+
+        if (next.contradiction) {
+            if (!stats.firstSteps) {
+                stats.firstSteps = steps;
+                stats.contradiction = next.contradiction;
+            }
+            return null;
+        }
+        if (next.solved) return { state, steps };
+
+        if (next.step) {
+            steps = [...steps, applyDeduction(problem, state, next.change, next.step)];
+            continue;
+        }
+
+        // Stuck: try each branch of the guess in turn
+        if (!stats.firstSteps) stats.firstSteps = steps;
+        if (next.branches.length === 0) {
+            stats.contradiction = stats.contradiction || 'no cell is left to guess';
+            return null;
+        }
+        for (const branch of next.branches) {
+            if (stats.guesses >= stats.guessLimit) return null;
+            stats.guesses++;
+
+            const child = cloneDeductionState(state);
+            const step = applyDeduction(problem, child, branch.change, { ...branch.step, rule: 'guess', guess: true });
+            const found = deduce(problem, child, [...steps, step], stats);
+            if (found) return found;
+            stats.backtracks++;
+        }
+        return null;
+    }
+}
+
+/**
+ * Apply one change to the state and fill in the cells it decided
+ * change: { place: candidate } or { cells, keep } to keep only the bits in keep for those cells
+ */
+function applyDeduction(problem, state, change, step) {
+    const touched = change.place ? change.place.cells : change.cells;
+    const before = touched.map(i => state.masks[i]);
+
+    if (change.place) {
+        const candidate = change.place;
+        for (const i of candidate.cells) {
+            state.masks[i] = 1 << candidate.colorIndex;
+            state.covered[i] = true;
+        }
+        state.pools[problem.poolOf[candidate.colorIndex]][candidate.pieceId]--;
+        state.placed.push(describeCandidate(problem, candidate));
+    } else {
+        for (const i of change.cells) state.masks[i] &= change.keep;
+    }
+
+    const decided = [];
+    touched.forEach((i, k) => {
+        const mask = state.masks[i];
+        if (mask !== before[k] && isSingleValue(mask)) {
+            decided.push({ cell: cellPosition(problem, i), value: maskValue(problem, mask) });
+        }
+    });
+    return { lines: [], piece: null, guess: false, ...step, decided };
+}
+
+/**
+ * The next step from the current state
+ * Returns { contradiction: message }, { solved: true }, { step, change } or { branches: [{ step, change }] }
+ */
+function findNextDeduction(problem, state) {
+    const { colors, lines, EMPTY } = problem;
+    const counts = countLines(problem, state);
+
+    for (const [li, line] of lines.entries()) {
+        for (const [ci, color] of colors.entries()) {
+            const { need, possible } = counts[li][ci];
+            if (need < 0) {
+                return { contradiction: `${describeLine(line)} has more ${color} cells than it needs` };
+            }
+            if (possible < need) {
+                return { contradiction: `${describeLine(line)} needs ${need} more ${color} cell${need === 1 ? '' : 's'} but only ${possible} can still be ${color}` };
+            }
+        }
+    }
+    const stuckCell = state.masks.findIndex((mask, i) => mask === 0 && !problem.blocked[i]);
+    if (stuckCell >= 0) {
+        return { contradiction: `${capitalizeFirst(describeCell(problem, stuckCell))} can be neither colored nor empty` };
+    }
+
+    // line-done: the line has all of a color it needs
+    for (const [li, line] of lines.entries()) {
+        const done = colors.map((_, ci) => ci).filter(ci => counts[li][ci].need === 0);
+        const doneBits = done.reduce((bits, ci) => bits | (1 << ci), 0);
+        const cells = line.cells.filter(i => !isSingleValue(state.masks[i]) && (state.masks[i] & doneBits));
+        if (cells.length === 0) continue;
+
+        const doneColors = done.filter(ci => cells.some(i => state.masks[i] & (1 << ci))).map(ci => colors[ci]);
+        const wanted = doneColors.some(color => line.req[colors.indexOf(color)] > 0);
+        let message = `${describeLine(line)} needs no ${joinWords(doneColors, 'or')}, so its open cells are not ${joinWords(doneColors, 'or')}`;
+        if (done.length === colors.length) {
+            message = `${describeLine(line)} has every colored cell it needs, so the rest of it stays empty`;
+        } else if (wanted) {
+            message = `${describeLine(line)} has all the ${joinWords(doneColors)} it needs, so its open cells are not ${joinWords(doneColors, 'or')}`;
+        }
+        return {
+            step: { rule: 'line-done', message, lines: doneColors.map(color => lineReference(line, color)), cells: cellPositions(problem, cells) },
+            change: { cells, keep: problem.ALL & ~doneBits }
+        };
+    }
+
+    // line-full: the line needs every cell that can still be a color
+    for (const [li, line] of lines.entries()) {
+        for (const [ci, color] of colors.entries()) {
+            const bit = 1 << ci;
+            const cells = line.cells.filter(i => (state.masks[i] & bit) && state.masks[i] !== bit);
+            const { need } = counts[li][ci];
+            if (need === 0 || cells.length !== need) continue;
+            return {
+                step: {
+                    rule: 'line-full',
+                    message: `${describeLine(line)} needs ${need} more ${color} cell${need === 1 ? '' : 's'} and only ${need === 1 ? 'one cell' : `${need} cells`} can still be ${color}`,
+                    lines: [lineReference(line, color)],
+                    cells: cellPositions(problem, cells)
+                },
+                change: { cells, keep: bit }
+            };
+        }
+    }
+
+    // line-colored: the line needs a colored cell in every open cell
+    if (colors.length > 1) {
+        for (const [li, line] of lines.entries()) {
+            const open = line.cells.filter(i => !isSingleValue(state.masks[i]));
+            const cells = open.filter(i => state.masks[i] & EMPTY);
+            const need = counts[li].reduce((sum, count) => sum + count.need, 0);
+            if (cells.length === 0 || need !== open.length) continue;
+            return {
+                step: {
+                    rule: 'line-colored',
+                    message: `${describeLine(line)} needs ${need} more colored cell${need === 1 ? '' : 's'} and has only ${need} open, so none of them stays empty`,
+                    lines: [lineReference(line, null)],
+                    cells: cellPositions(problem, cells)
+                },
+                change: { cells, keep: problem.ALL & ~EMPTY }
+            };
+        }
+    }
+
+    const pieces = findCandidates(problem, state, counts);
+
+    // Known cells that still need a piece to cover them
+    const uncovered = [];
+    state.masks.forEach((mask, i) => {
+        if (!state.covered[i] && mask !== EMPTY && isSingleValue(mask)) uncovered.push(i);
+    });
+    for (const i of uncovered) {
+        if (pieces.byCell[i][Math.log2(state.masks[i])].length === 0) {
+            return { contradiction: `No ${maskValue(problem, state.masks[i])} piece can still cover ${describeCell(problem, i)}` };
+        }
+    }
+
+    // Pools whose pieces all have to be placed, or that cannot cover what their colors need
+    const requiredPools = new Set();
+    for (const [pool, inventory] of Object.entries(state.pools)) {
+        const capacity = Object.entries(inventory).reduce((sum, [shapeId, count]) => sum + count * SHAPE_LIBRARY[shapeId].cellCount, 0);
+        const poolColors = colors.map((_, ci) => ci).filter(ci => problem.poolOf[ci] === pool);
+        const toCover = poolColors.reduce((sum, ci) =>
+            sum + counts.slice(0, problem.gridRows).reduce((rowSum, count) => rowSum + count[ci].need, 0)
+                + uncovered.filter(i => state.masks[i] === 1 << ci).length, 0);
+        const owner = pool === 'shared' ? 'The pieces left' : `The ${pool} pieces left`;
+
+        if (capacity < toCover) {
+            return { contradiction: `${owner} cover ${capacity} cell${capacity === 1 ? '' : 's'} but ${toCover} still need covering` };
+        }
+        if (problem.requireAllPieces && capacity > toCover) {
+            return { contradiction: `${owner} cover more cells than are still needed, so not all of them can be used` };
+        }
+        if (problem.requireAllPieces || capacity === toCover) requiredPools.add(pool);
+    }
+
+    // Pieces that must be placed and the placements still open to them
+    const required = [];
+    for (const [pool, inventory] of Object.entries(state.pools)) {
+        if (!requiredPools.has(pool)) continue;
+        for (const [pieceId, count] of Object.entries(inventory)) {
+            if (count <= 0) continue;
+            const options = pieces.valid.filter(candidate => candidate.pieceId === pieceId && problem.poolOf[candidate.colorIndex] === pool);
+            if (options.length === 0) {
+                return { contradiction: `The ${describePiece(pool, pieceId)} has nowhere left to go` };
+            }
+            required.push({ pool, pieceId, count, options });
+        }
+    }
+
+    if (uncovered.length === 0 && counts.every(lineCounts => lineCounts.every(count => count.need === 0))
+        && state.masks.every(mask => mask === 0 || isSingleValue(mask))) {
+        return { solved: true };
+    }
+
+    // unreachable: no piece of a color can cover the cell
+    for (const [ci, color] of colors.entries()) {
+        const bit = 1 << ci;
+        const cells = [];
+        state.masks.forEach((mask, i) => {
+            if ((mask & bit) && mask !== bit && pieces.byCell[i][ci].length === 0) cells.push(i);
+        });
+        if (cells.length === 0) continue;
+        return {
+            step: {
+                rule: 'unreachable',
+                message: `No ${color} piece can still reach ${cells.length === 1 ? describeCell(problem, cells[0]) : `these ${cells.length} cells`}, so ${cells.length === 1 ? 'it is' : 'they are'} not ${color}`,
+                cells: cellPositions(problem, cells)
+            },
+            change: { cells, keep: problem.ALL & ~bit }
+        };
+    }
+
+    // only-cover: a known cell has one placement left that covers it
+    for (const i of uncovered) {
+        const options = pieces.byCell[i][Math.log2(state.masks[i])];
+        if (options.length !== 1) continue;
+        const candidate = options[0];
+        return {
+            step: {
+                rule: 'only-cover',
+                message: `${capitalizeFirst(describeCell(problem, i))} is ${candidate.color} and only the ${candidate.color} ${SHAPE_LIBRARY[candidate.shapeId].name} placed here can cover it`,
+                cells: [cellPosition(problem, i)],
+                piece: describeCandidate(problem, candidate)
+            },
+            change: { place: candidate }
+        };
+    }
+
+    // only-place: a piece that has to be used fits in one place
+    for (const { pool, pieceId, options } of required) {
+        if (options.length !== 1) continue;
+        const candidate = options[0];
+        return {
+            step: {
+                rule: 'only-place',
+                message: `Every piece has to be placed and the ${describePiece(pool, pieceId)} only fits here` +
+                    (pool === 'shared' ? `, as ${candidate.color}` : ''),
+                cells: cellPositions(problem, candidate.cells),
+                piece: describeCandidate(problem, candidate)
+            },
+            change: { place: candidate }
+        };
+    }
+
+    // must-cover: every placement that can cover a known cell shares other cells with the rest
+    for (const i of uncovered) {
+        const ci = Math.log2(state.masks[i]);
+        const bit = 1 << ci;
+        const shared = commonCells(pieces.byCell[i][ci]).filter(k => state.masks[k] !== bit);
+        if (shared.length === 0) continue;
+        return {
+            step: {
+                rule: 'must-cover',
+                message: `Whichever ${colors[ci]} piece covers ${describeCell(problem, i)} also covers ${shared.length === 1 ? describeCell(problem, shared[0]) : `these ${shared.length} cells`}`,
+                cells: cellPositions(problem, shared)
+            },
+            change: { cells: shared, keep: bit }
+        };
+    }
+
+    // overlap: every place left for a piece that has to be used shares some cells
+    for (const { pool, pieceId, count, options } of required) {
+        const ci = options[0].colorIndex;
+        if (count !== 1 || options.some(candidate => candidate.colorIndex !== ci)) continue;
+        const bit = 1 << ci;
+        const shared = commonCells(options).filter(k => state.masks[k] !== bit);
+        if (shared.length === 0) continue;
+        return {
+            step: {
+                rule: 'overlap',
+                message: `Every place the ${describePiece(pool, pieceId)} still fits covers ${shared.length === 1 ? describeCell(problem, shared[0]) : `these ${shared.length} cells`}, so ${shared.length === 1 ? 'it is' : 'they are'} ${colors[ci]}`,
+                cells: cellPositions(problem, shared)
+            },
+            change: { cells: shared, keep: bit }
+        };
+    }
+
+    return { branches: findGuessBranches(problem, state, counts, pieces, uncovered, required) };
+}
+
+/**
+ * Ways to continue when no rule applies, covering every possibility between them
+ * Prefers the known cell, then the required piece, with the fewest placements left;
+ * otherwise picks a cell a line still needs a color in and tries each placement
+ * covering it, then that it is not that color.
+ */
+function findGuessBranches(problem, state, counts, pieces, uncovered, required) {
+    const placeBranch = candidate => ({
+        step: {
+            message: `Guess: place the ${candidate.color} ${SHAPE_LIBRARY[candidate.shapeId].name} here`,
+            cells: cellPositions(problem, candidate.cells),
+            piece: describeCandidate(problem, candidate)
+        },
+        change: { place: candidate }
+    });
+
+    let best = null;
+    for (const i of uncovered) {
+        const options = pieces.byCell[i][Math.log2(state.masks[i])];
+        if (!best || options.length < best.length) best = options;
+    }
+    if (!best) {
+        for (const { options } of required) {
+            if (!best || options.length < best.length) best = options;
+        }
+    }
+    if (best) return best.map(placeBranch);
+
+    let choice = null;
+    problem.lines.forEach((line, li) => {
+        problem.colors.forEach((color, ci) => {
+            if (counts[li][ci].need === 0) return;
+            const bit = 1 << ci;
+            for (const i of line.cells) {
+                const options = pieces.byCell[i][ci];
+                if ((state.masks[i] & bit) && state.masks[i] !== bit && options.length > 0
+                    && (!choice || options.length < choice.options.length)) {
+                    choice = { i, ci, options };
+                }
+            }
+        });
+    });
+    if (!choice) return [];
+
+    const color = problem.colors[choice.ci];
+    return [
+        ...choice.options.map(placeBranch),
+        {
+            step: {
+                message: `Guess: ${describeCell(problem, choice.i)} is not ${color}`,
+                cells: [cellPosition(problem, choice.i)]
+            },
+            change: { cells: [choice.i], keep: problem.ALL & ~(1 << choice.ci) }
+        }
+    ];
+}
+
+/**
+ * Per line and color: { need, possible } where need is the cells still missing once
+ * known cells are counted, and possible the cells that may still be that color
+ */
+function countLines(problem, state) {
+    return problem.lines.map(line =>
+        problem.colors.map((_, ci) => {
+            const bit = 1 << ci;
+            let known = 0;
+            let possible = 0;
+            for (const i of line.cells) {
+                if (state.masks[i] === bit) known++;
+                else if (state.masks[i] & bit) possible++;
+            }
+            return { need: line.req[ci] - known, possible };
+        })
+    );
+}
+
+/**
+ * Placements that fit the current state
+ * Returns { valid, byCell } with byCell[cell][colorIndex] the valid placements covering a cell
+ */
+function findCandidates(problem, state, counts) {
+    const { gridRows, gridCols, colors } = problem;
+    const rowNeed = counts.slice(0, gridRows);
+    const colNeed = counts.slice(gridRows);
+    const valid = [];
+    const byCell = state.masks.map(() => colors.map(() => []));
+
+    for (const candidate of problem.candidates) {
+        if (!(state.pools[problem.poolOf[candidate.colorIndex]][candidate.pieceId] > 0)) continue;
+        const bit = 1 << candidate.colorIndex;
+        const rowAdds = {};
+        const colAdds = {};
+        let fits = true;
+        for (const i of candidate.cells) {
+            if (state.covered[i] || !(state.masks[i] & bit)) {
+                fits = false;
+                break;
+            }
+            if (state.masks[i] === bit) continue;
+            const r = Math.floor(i / gridCols);
+            const c = i % gridCols;
+            rowAdds[r] = (rowAdds[r] || 0) + 1;
+            colAdds[c] = (colAdds[c] || 0) + 1;
+        }
+        if (!fits) continue;
+        if (Object.entries(rowAdds).some(([r, n]) => n > rowNeed[r][candidate.colorIndex].need)) continue;
+        if (Object.entries(colAdds).some(([c, n]) => n > colNeed[c][candidate.colorIndex].need)) continue;
+
+        valid.push(candidate);
+        for (const i of candidate.cells) byCell[i][candidate.colorIndex].push(candidate);
+    }
+    return { valid, byCell };
+}
+
+// Cells every one of the placements covers
+function commonCells(candidates) {
+    if (candidates.length === 0) return [];
+    return candidates[0].cells.filter(i => candidates.every(candidate => candidate.cells.includes(i)));
+}
+
+function isSingleValue(mask) {
+    return mask !== 0 && (mask & (mask - 1)) === 0;
+}
+
+// 'empty' or the color of a single-value mask
+function maskValue(problem, mask) {
+    return mask === problem.EMPTY ? 'empty' : problem.colors[Math.log2(mask)];
+}
+
+function describeCandidate(problem, candidate) {
+    return {
+        shapeId: candidate.shapeId,
+        color: candidate.color,
+        rotationIndex: candidate.rotationIndex,
+        cells: cellPositions(problem, candidate.cells)
+    };
+}
+
+function cellPosition(problem, i) {
+    return [Math.floor(i / problem.gridCols), i % problem.gridCols];
+}
+
+function cellPositions(problem, cells) {
+    return cells.map(i => cellPosition(problem, i));
+}
+
+function describeCell(problem, i) {
+    const [r, c] = cellPosition(problem, i);
+    return `row ${r + 1}, column ${c + 1}`;
+}
+
+function describeLine(line) {
+    return `${line.type === 'row' ? 'Row' : 'Column'} ${line.index + 1}`;
+}
+
+function lineReference(line, color) {
+    return { type: line.type, index: line.index, color };
+}
+
+function describePiece(pool, pieceId) {
+    const name = SHAPE_LIBRARY[pieceId].name;
+    return pool === 'shared' ? name : `${pool} ${name}`;
+}
+
+function capitalizeFirst(text) {
+    return text[0].toUpperCase() + text.slice(1);
+}
+
+// e.g. "green, blue and red"
+function joinWords(words, last = 'and') {
+    return words.length <= 1 ? words.join('') : `${words.slice(0, -1).join(', ')} ${last} ${words[words.length - 1]}`;
+}
+
+// Node loads the deduction solver as a CommonJS module (require, or import from ES modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEDUCTION_GUESS_LIMIT,
+        runDeductionSolver
+    };
+}
@@ -3,52 +3,219 @@
  * Generates solvable puzzles with configurable difficulty
  */
 
-// Logging utility - suppressed during benchmark mode
+// The page and the worker load the shape library, solver and deduction solver as global scripts;
+// in Node they are modules, so take what the generator uses from them into this module's scope
+if (typeof module !== 'undefined' && module.exports) {
+    var { SHAPE_LIBRARY, getShapeBounds } = require('./shapes.js');
+    var { removeLockedCells, runSolverWithShapeCounts } = require('./solver.js');
+    var { runDeductionSolver } = require('./deduction.js');
+}
+
+// Logging utility - silent for a generation run given quiet: true (benchmarks, the CLI and tests)
 function generatorLog(...args) {
-    if (!window.BENCHMARK_MODE) console.log(...args);
+    if (!PuzzleGenerator.config?.quiet) console.log(...args);
 }
 function generatorWarn(...args) {
-    if (!window.BENCHMARK_MODE) console.warn(...args);
+    if (!PuzzleGenerator.config?.quiet) console.warn(...args);
 }
 function generatorError(...args) {
-    if (!window.BENCHMARK_MODE) console.error(...args);
+    if (!PuzzleGenerator.config?.quiet) console.error(...args);
 }
 
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * Returns a function that, like Math.random, yields floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turn a seed entered by the user into a 32-bit unsigned integer
+ * Whole numbers are used as-is, any other text is hashed (FNV-1a)
+ */
+function normalizeSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(BigInt(text) % 4294967296n);
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Difficulty pools based on benchmark data
+// Each config: { gridRows, gridCols, colors, blockers, locks }
+const DIFFICULTY_POOLS = {
+    easy: [
+        { gridRows: 4, gridCols: 4, colors: ['green'], blockers: true, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue', 'red'], blockers: true, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green'], blockers: false, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue'], blockers: false, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue'], blockers: true, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue', 'red'], blockers: false, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue', 'red'], blockers: true, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red'], blockers: true, locks: true }
+    ],
+    medium: [
+        { gridRows: 5, gridCols: 5, colors: ['green'], blockers: true, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green'], blockers: true, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red'], blockers: true, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue'], blockers: false, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red'], blockers: true, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue'], blockers: true, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue'], blockers: true, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue'], blockers: true, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red'], blockers: false, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: true },
+        { gridRows: 4, gridCols: 4, colors: ['green', 'blue', 'red'], blockers: false, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue'], blockers: false, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: true }
+    ],
+    hard: [
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red'], blockers: false, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red'], blockers: true, locks: true },
+        { gridRows: 8, gridCols: 8, colors: ['green'], blockers: true, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue'], blockers: false, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue'], blockers: true, locks: false },
+        { gridRows: 4, gridCols: 4, colors: ['green'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: true },
+        { gridRows: 5, gridCols: 5, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red'], blockers: false, locks: true }
+    ],
+    expert: [
+        { gridRows: 6, gridCols: 6, colors: ['green'], blockers: false, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue'], blockers: true, locks: true },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue'], blockers: true, locks: false },
+        { gridRows: 5, gridCols: 5, colors: ['green'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green'], blockers: true, locks: true },
+        { gridRows: 8, gridCols: 8, colors: ['green'], blockers: true, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red'], blockers: true, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green'], blockers: true, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue'], blockers: false, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: true },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green'], blockers: true, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red', 'purple'], blockers: true, locks: false },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue'], blockers: false, locks: true },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red', 'purple'], blockers: false, locks: true },
+        { gridRows: 6, gridCols: 6, colors: ['green', 'blue', 'red'], blockers: false, locks: false }
+    ],
+    master: [
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue'], blockers: true, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue', 'red'], blockers: false, locks: false },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue'], blockers: true, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red'], blockers: false, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green'], blockers: true, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red'], blockers: true, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green', 'blue', 'red'], blockers: true, locks: true },
+        { gridRows: 7, gridCols: 7, colors: ['green', 'blue'], blockers: false, locks: false },
+        { gridRows: 8, gridCols: 8, colors: ['green'], blockers: false, locks: true }
+    ]
+};
+
+/**
+ * Generator config for a preset difficulty, or null for an unknown one
+ * The pool entry is picked with the seed, so a seed also reproduces the preset choice.
+ * Presets always get a single intended answer.
+ */
+function getDifficultyConfig(difficulty, seed) {
+    const pool = DIFFICULTY_POOLS[difficulty];
+    if (!pool || pool.length === 0) return null;
+
+    const config = pool[Math.floor(createSeededRandom(seed)() * pool.length)];
+    return { ...config, colors: [...config.colors], uniqueSolution: true };
+}
+
+// Search nodes a uniqueness check may explore; a check that runs out counts as not unique
+const UNIQUENESS_NODE_LIMIT = 200000;
+
+// Attempts generate() makes before settling for a fallback
+// Counting attempts rather than time keeps a seed's puzzle the same on every machine
+const GENERATION_ATTEMPTS = 8000;
+
 const PuzzleGenerator = {
     config: null,
     shapes: null,
+    random: Math.random,
 
     /**
      * Main entry point - generate a puzzle
-     * Uses time-based retries to be machine-agnostic
+     * Retries up to GENERATION_ATTEMPTS times
+     * config.seed makes the result reproducible: every attempt draws from the same seeded
+     * sequence, so a seed always gives the same puzzle
+     * config.quiet keeps the progress logs off the console
      */
     generate(config) {
+        const hasSeed = config.seed !== undefined && config.seed !== null && config.seed !== '';
+        const seed = hasSeed ? normalizeSeed(config.seed) : randomSeed();
+        this.random = createSeededRandom(seed);
+
         this.config = {
             gridRows: config.gridRows || 5,
             gridCols: config.gridCols || 5,
             colors: config.colors || ['green', 'blue'],
             blockers: config.blockers !== false,
             locks: config.locks || false,
-            shapePool: config.shapePool || Object.keys(SHAPE_LIBRARY)
+            uniqueSolution: config.uniqueSolution || false,
+            shapePool: config.shapePool || Object.keys(SHAPE_LIBRARY),
+            quiet: config.quiet || false,
+            seed
         };
 
         generatorLog('Starting puzzle generation with config:', this.config);
 
-        // Time-based retry: try for up to 4 seconds total
-        const maxDuration = 4000;
         const startTime = Date.now();
-        let attempts = 0;
+        let fallback = null;
 
-        while (Date.now() - startTime < maxDuration) {
-            attempts++;
+        for (let attempts = 1; attempts <= GENERATION_ATTEMPTS; attempts++) {
             const result = this._attemptGeneration();
             if (result.success) {
                 generatorLog(`Puzzle generated successfully after ${attempts} attempts in ${Date.now() - startTime}ms`);
-                return result.puzzle;
+                return { ...result.puzzle, seed };
+            }
+            // Keep a solvable puzzle in case no unique one turns up within the budget
+            if (result.puzzle && !fallback) {
+                fallback = result.puzzle;
             }
         }
 
-        generatorError(`Failed to generate puzzle after ${attempts} attempts in ${Date.now() - startTime}ms`);
+        if (fallback) {
+            generatorWarn(`No unique-solution puzzle after ${GENERATION_ATTEMPTS} attempts, using one with several solutions`);
+            return { ...fallback, seed };
+        }
+
+        generatorError(`Failed to generate puzzle after ${GENERATION_ATTEMPTS} attempts in ${Date.now() - startTime}ms`);
         return null;
     },
 
@@ -76,7 +243,7 @@ const PuzzleGenerator = {
         generatorLog('Lock distribution:', lockDistribution);
 
         // Phase 5: Placement strategy
-        const strategy = Math.random() < 0.5 ? 'symmetrical' : 'chaotic';
+        const strategy = this.random() < 0.5 ? 'symmetrical' : 'chaotic';
         generatorLog('Placement strategy:', strategy);
 
         // Phase 6: Place shapes and validate solution
@@ -85,20 +252,27 @@ const PuzzleGenerator = {
             return { success: false, reason: 'Placement/validation failed' };
         }
 
+        // Phase 6b: Make sure the placed layout is the only solution
+        const unique = this.config.uniqueSolution && this._ensureUniqueSolution(placementResult);
+
         // Phase 7: Calculate display requirements
         const displayRequirements = this._calculateDisplayRequirements(placementResult);
 
-        return {
-            success: true,
-            puzzle: {
-                grid: placementResult.grid,
-                shapes: placementResult.shapes,
-                blockers: placementResult.blockers,
-                locks: placementResult.locks,
-                requirements: displayRequirements,
-                solution: placementResult.solution
-            }
+        const puzzle = {
+            grid: placementResult.grid,
+            shapes: placementResult.shapes,
+            blockers: placementResult.blockers,
+            locks: placementResult.locks,
+            requirements: displayRequirements,
+            solution: placementResult.solution,
+            uniqueSolution: unique
         };
+
+        if (this.config.uniqueSolution && !unique) {
+            return { success: false, reason: 'Puzzle has more than one solution', puzzle };
+        }
+
+        return { success: true, puzzle };
     },
 
     /**
@@ -153,11 +327,11 @@ const PuzzleGenerator = {
                 if (validShapes.length === 0) break;
 
                 // Randomly select a shape
-                const shapeId = validShapes[Math.floor(Math.random() * validShapes.length)];
+                const shapeId = validShapes[Math.floor(this.random() * validShapes.length)];
                 const shape = SHAPE_LIBRARY[shapeId];
 
                 // Randomly select a rotation
-                const rotationIndex = Math.floor(Math.random() * shape.rotations.length);
+                const rotationIndex = Math.floor(this.random() * shape.rotations.length);
 
                 shapes.push({
                     shapeId,
@@ -232,7 +406,7 @@ const PuzzleGenerator = {
 
         // Distribute remainder randomly
         while (remainder > 0) {
-            const randomColor = this.config.colors[Math.floor(Math.random() * colorCount)];
+            const randomColor = this.config.colors[Math.floor(this.random() * colorCount)];
             distribution[randomColor]++;
             remainder--;
         }
@@ -323,8 +497,8 @@ const PuzzleGenerator = {
             let placed = 0;
 
             while (placed < count) {
-                const r = Math.floor(Math.random() * Math.ceil(rows / 2));
-                const c = Math.floor(Math.random() * Math.ceil(cols / 2));
+                const r = Math.floor(this.random() * Math.ceil(rows / 2));
+                const c = Math.floor(this.random() * Math.ceil(cols / 2));
 
                 const positions = [
                     [r, c],
@@ -347,8 +521,8 @@ const PuzzleGenerator = {
             let placed = 0;
             let attempts = 0;
             while (placed < count && attempts < count * 10) {
-                const r = Math.floor(Math.random() * rows);
-                const c = Math.floor(Math.random() * cols);
+                const r = Math.floor(this.random() * rows);
+                const c = Math.floor(this.random() * cols);
                 if (grid[r][c] === 'empty') {
                     grid[r][c] = 'blocked';
                     blockers.push([r, c]);
@@ -376,8 +550,8 @@ const PuzzleGenerator = {
             if (strategy === 'symmetrical') {
                 let placed = 0;
                 while (placed < count) {
-                    const r = Math.floor(Math.random() * rows);
-                    const c = Math.floor(Math.random() * cols);
+                    const r = Math.floor(this.random() * rows);
+                    const c = Math.floor(this.random() * cols);
                     if (grid[r][c] === 'empty') {
                         grid[r][c] = `locked-${color}`;
                         locks[color].push([r, c]);
@@ -388,8 +562,8 @@ const PuzzleGenerator = {
                 let placed = 0;
                 let attempts = 0;
                 while (placed < count && attempts < count * 10) {
-                    const r = Math.floor(Math.random() * rows);
-                    const c = Math.floor(Math.random() * cols);
+                    const r = Math.floor(this.random() * rows);
+                    const c = Math.floor(this.random() * cols);
                     if (grid[r][c] === 'empty') {
                         grid[r][c] = `locked-${color}`;
                         locks[color].push([r, c]);
@@ -469,7 +643,7 @@ const PuzzleGenerator = {
         if (validPositions.length === 0) return null;
 
         // Pick random valid position
-        const chosen = validPositions[Math.floor(Math.random() * validPositions.length)];
+        const chosen = validPositions[Math.floor(this.random() * validPositions.length)];
         return {
             shapeId: shape.shapeId,
             rotationIndex: shape.rotationIndex,
@@ -479,6 +653,88 @@ const PuzzleGenerator = {
         };
     },
 
+    /**
+     * Phase 6b: Check that the puzzle has exactly one solution
+     * While another solution exists, a cell it uses but the intended layout leaves empty is
+     * turned into a blocker (or a lock when blockers are off), which rules that solution out.
+     * A check that runs out of search nodes rejects the puzzle rather than risk a second answer.
+     */
+    _ensureUniqueSolution(placementResult) {
+        if (!this.config.blockers && !this.config.locks) {
+            return this._findAlternativeSolution(placementResult) === null;
+        }
+
+        // A few repairs at most; puzzles needing more are retried from scratch
+        for (let repair = 0; repair < 8; repair++) {
+            const alternative = this._findAlternativeSolution(placementResult);
+            if (alternative === null) return true;
+            if (alternative === false) return false;
+
+            const grid = placementResult.grid;
+            const candidates = [];
+            for (const color of this.config.colors) {
+                for (const [r, c] of alternative[color] || []) {
+                    if (grid[r][c] === 'empty') candidates.push([r, c, color]);
+                }
+            }
+
+            // Same cells and colors, different pieces: no cell can tell them apart
+            if (candidates.length === 0) return false;
+
+            const [r, c, color] = candidates[Math.floor(this.random() * candidates.length)];
+            if (this.config.blockers) {
+                grid[r][c] = 'blocked';
+                placementResult.blockers.push([r, c]);
+            } else {
+                grid[r][c] = `locked-${color}`;
+                placementResult.locks[color] = placementResult.locks[color] || [];
+                placementResult.locks[color].push([r, c]);
+            }
+        }
+
+        return this._findAlternativeSolution(placementResult) === null;
+    },
+
+    /**
+     * Solve the puzzle as the player sees it (each color with its own pieces, all of them placed)
+     * and return a solution other than the placed one, null if the placed layout is the only one,
+     * or false if the search gave up at UNIQUENESS_NODE_LIMIT before telling
+     */
+    _findAlternativeSolution(placementResult) {
+        const grid = placementResult.grid;
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const colors = this.config.colors;
+
+        // Locked cells are fixed, so they count as blocked and drop out of the requirements
+        const gridState = grid.map(row => row.map(cell =>
+            cell === 'blocked' || cell.startsWith('locked-') ? 'blocked' : 'empty'
+        ));
+        const rowReqs = grid.map(row => Object.fromEntries(
+            colors.map(color => [color, row.filter(cell => cell === color).length])
+        ));
+        const colReqs = Array.from({ length: cols }, (_, c) => Object.fromEntries(
+            colors.map(color => [color, grid.filter(row => row[c] === color).length])
+        ));
+
+        const inventory = Object.fromEntries(colors.map(color => [color, {}]));
+        for (const color of colors) {
+            for (const { shapeId } of placementResult.shapes[color] || []) {
+                inventory[color][shapeId] = (inventory[color][shapeId] || 0) + 1;
+            }
+        }
+
+        const result = runSolverWithShapeCounts(rows, cols, gridState, rowReqs, colReqs, inventory, colors,
+            { maxSolutions: 2, requireAllPieces: true, nodeLimit: UNIQUENESS_NODE_LIMIT });
+        if (result.solutionCount <= 1) return result.complete ? null : false;
+
+        // One of the two is the placed layout; return the one that colors some cell differently
+        const differs = solution => colors.some(color =>
+            (solution[color] || []).some(([r, c]) => grid[r][c] !== color)
+        );
+        return result.solutions.find(differs) || result.solutions[1];
+    },
+
     /**
      * Find empty cells in grid
      */
@@ -493,7 +749,7 @@ const PuzzleGenerator = {
         }
         // Shuffle
         for (let i = empty.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [empty[i], empty[j]] = [empty[j], empty[i]];
         }
         return empty;
@@ -577,3 +833,188 @@ const PuzzleGenerator = {
         return requirements;
     }
 };
+
+// Weight of each deduction rule in a rating: the line rules and covering a known cell add nothing,
+// reasoning about where pieces can go adds more
+const RATING_RULE_WEIGHTS = {
+    'line-done': 0,
+    'line-full': 0,
+    'only-cover': 0,
+    'line-colored': 1,
+    'unreachable': 1,
+    'only-place': 1,
+    'must-cover': 2,
+    'overlap': 2
+};
+
+// Guesses the deduction solver may make while rating before it counts the puzzle as maxed out
+const RATING_GUESS_LIMIT = 2000;
+
+// Lowest rating of each difficulty; a difficulty runs up to the next one's minimum
+const DIFFICULTY_RATING_BANDS = {
+    easy: 0,
+    medium: 13,
+    hard: 25,
+    expert: 45,
+    master: 80
+};
+
+// Seeds a rated generation tries before settling for the closest puzzle
+const RATED_GENERATION_ATTEMPTS = 12;
+
+/**
+ * Rate how hard a generated puzzle is to solve, from the puzzle itself rather than its settings
+ * The player's board (each color with its own pieces, all of them placed) is solved twice:
+ *   - by the deduction solver, for the rules it needed, its guesses and the guesses it undid,
+ *   - by the backtracking solver, for the nodes it explores to rule out a second answer.
+ * Returns { score, difficulty, depth, guesses, backtracks, steps, nodesExplored, pieces }
+ *   depth: 0 when line rules solve it, 1 or 2 for the piece rules it needed, 3 when it needed guesses
+ *   difficulty: the DIFFICULTY_RATING_BANDS entry the score falls in
+ */
+function ratePuzzle(puzzle, colors) {
+    const rows = puzzle.grid.length;
+    const cols = puzzle.grid[0].length;
+    const gridState = puzzle.grid.map(row => row.map(cell =>
+        cell === 'blocked' || cell.startsWith('locked-') ? cell : 'empty'
+    ));
+    const { rows: rowReqs, cols: colReqs } = puzzle.requirements;
+
+    const inventory = Object.fromEntries(colors.map(color => [color, {}]));
+    let pieces = 0;
+    for (const color of colors) {
+        for (const { shapeId } of puzzle.shapes[color] || []) {
+            inventory[color][shapeId] = (inventory[color][shapeId] || 0) + 1;
+            pieces++;
+        }
+    }
+
+    const deduction = runDeductionSolver(rows, cols, gridState, rowReqs, colReqs, inventory, colors,
+        { requireAllPieces: true, guessLimit: RATING_GUESS_LIMIT });
+    const guesses = deduction.complete ? deduction.guesses : RATING_GUESS_LIMIT;
+    let ruleWeight = 0;
+    let depth = 0;
+    for (const step of deduction.steps) {
+        const weight = step.guess ? 3 : RATING_RULE_WEIGHTS[step.rule] || 0;
+        ruleWeight += Math.min(weight, 2);
+        depth = Math.max(depth, weight);
+    }
+    if (guesses > 0) depth = 3;
+
+    const unlocked = removeLockedCells(rows, cols, gridState, rowReqs, colReqs, colors);
+    const search = runSolverWithShapeCounts(rows, cols, unlocked.gridState, unlocked.rowReqs, unlocked.colReqs,
+        inventory, colors, { maxSolutions: 0, countLimit: 2, requireAllPieces: true });
+    const nodesExplored = search.nodesExplored || 0;
+
+    const score = Math.round(
+        pieces
+        + 2 * ruleWeight
+        + 5 * depth
+        + 4 * guesses
+        + 4 * Math.log2(1 + deduction.backtracks)
+        + 3 * Math.log2(1 + nodesExplored)
+    );
+
+    return {
+        score,
+        difficulty: getRatingDifficulty(score),
+        depth,
+        guesses,
+        backtracks: deduction.backtracks,
+        steps: deduction.steps.length,
+        nodesExplored,
+        pieces
+    };
+}
+
+/**
+ * The difficulty whose rating band holds a score
+ */
+function getRatingDifficulty(score) {
+    let difficulty = 'easy';
+    for (const [name, minimum] of Object.entries(DIFFICULTY_RATING_BANDS)) {
+        if (score >= minimum) difficulty = name;
+    }
+    return difficulty;
+}
+
+/**
+ * How far a score lies outside a difficulty's rating band (0 inside it)
+ */
+function getRatingDistance(score, difficulty) {
+    const names = Object.keys(DIFFICULTY_RATING_BANDS);
+    const minimum = DIFFICULTY_RATING_BANDS[difficulty];
+    const next = names[names.indexOf(difficulty) + 1];
+    const maximum = next ? DIFFICULTY_RATING_BANDS[next] - 1 : Infinity;
+    return Math.max(0, minimum - score, score - maximum);
+}
+
+/**
+ * Seed a rated generation uses on a retry: the seed itself first, then a hash of the seed and
+ * the retry number, so the retries of neighbouring seeds do not run into each other's puzzles
+ */
+function getRetrySeed(seed, retry) {
+    const base = normalizeSeed(seed);
+    return retry === 0 ? base : normalizeSeed(`${base}/${retry}`);
+}
+
+/**
+ * Generate a puzzle for a preset difficulty and keep generating until its rating is in that
+ * difficulty's band
+ * Tries getRetrySeed(seed, 0), getRetrySeed(seed, 1), ... with the difficulty's configs (see
+ * getDifficultyConfig), and settles for the closest puzzle after RATED_GENERATION_ATTEMPTS
+ * retries, so a seed always picks the same puzzle.
+ * options.quiet is passed on to generate.
+ * Returns { puzzle, config } with the rating on the puzzle, or null for an unknown difficulty or
+ * when no retry gave a puzzle. puzzle.seed is the seed given, so it and the difficulty reproduce
+ * the puzzle; puzzle.retry is the retry it came from.
+ */
+function generateRatedPuzzle(difficulty, seed, options = {}) {
+    if (!DIFFICULTY_POOLS[difficulty]) return null;
+
+    const baseSeed = normalizeSeed(seed);
+    let closest = null;
+
+    for (let retry = 0; retry < RATED_GENERATION_ATTEMPTS; retry++) {
+        const retrySeed = getRetrySeed(baseSeed, retry);
+        const config = getDifficultyConfig(difficulty, retrySeed);
+        const puzzle = PuzzleGenerator.generate({ ...config, seed: retrySeed, quiet: options.quiet });
+        if (!puzzle) continue;
+
+        const rating = ratePuzzle(puzzle, config.colors);
+        const distance = getRatingDistance(rating.score, difficulty);
+        generatorLog(`Seed ${baseSeed} retry ${retry} rated ${rating.score} (${rating.difficulty}) for ${difficulty}`);
+        if (!closest || distance < closest.distance) {
+            closest = { puzzle: { ...puzzle, seed: baseSeed, retry, rating }, config, distance };
+        }
+        if (distance === 0) break;
+    }
+
+    if (!closest) return null;
+    if (closest.distance > 0) {
+        generatorWarn(`No ${difficulty} puzzle rated in band, using one rated ${closest.puzzle.rating.score}`);
+    }
+    return { puzzle: closest.puzzle, config: closest.config };
+}
+
+// Node loads the generator as a CommonJS module (require, or import from ES modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSeededRandom,
+        normalizeSeed,
+        randomSeed,
+        DIFFICULTY_POOLS,
+        getDifficultyConfig,
+        UNIQUENESS_NODE_LIMIT,
+        GENERATION_ATTEMPTS,
+        RATING_RULE_WEIGHTS,
+        RATING_GUESS_LIMIT,
+        DIFFICULTY_RATING_BANDS,
+        ratePuzzle,
+        getRatingDifficulty,
+        getRatingDistance,
+        RATED_GENERATION_ATTEMPTS,
+        getRetrySeed,
+        generateRatedPuzzle,
+        PuzzleGenerator
+    };
+}
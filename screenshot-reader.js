@@ -0,0 +1,277 @@
+/**
+ * Screenshot Reader for Originium Circuitry Solver
+ * Reads a board from an in-game screenshot with plain pixel analysis (no network).
+ *
+ * The caller marks the grid's outer corners; from there the reader
+ *   - finds the number of rows and columns from the grid lines,
+ *   - sorts each cell into empty, blocked or locked-<color>,
+ *   - counts the colored requirement pips left of each row and above each column
+ *     (each required cell shows as one pip).
+ *
+ * image: { width, height, data } as in canvas ImageData (RGBA bytes)
+ * corners: { left, top, right, bottom } in image pixels
+ */
+
+// Hue (degrees) of each board color as drawn in game
+const SCREENSHOT_HUES = {
+    green: 110,
+    blue: 195,
+    red: 0,
+    purple: 280
+};
+
+// Averages at least this saturated and bright count as a board color
+const SCREENSHOT_MIN_SATURATION = 0.4;
+const SCREENSHOT_MIN_VALUE = 0.3;
+
+// Luminance difference from a typical empty cell that marks a cell as blocked
+const SCREENSHOT_BLOCKED_CONTRAST = 40;
+
+/**
+ * Read a whole board
+ * size: { rows, cols } to skip grid line detection
+ * Returns { rows, cols, colors, gridState, requirements: { rows: [{ color: count }], cols: [...] } }
+ * colors lists the colors seen in locked cells or pips.
+ */
+function readScreenshotBoard(image, corners, size = {}) {
+    const rows = size.rows || detectGridLineCount(image, corners, 'rows');
+    const cols = size.cols || detectGridLineCount(image, corners, 'cols');
+    const cellWidth = (corners.right - corners.left) / cols;
+    const cellHeight = (corners.bottom - corners.top) / rows;
+
+    const gridState = readScreenshotCells(image, corners, rows, cols);
+
+    const emptyRequirement = () => Object.fromEntries(Object.keys(SCREENSHOT_HUES).map(color => [color, 0]));
+    const requirements = { rows: [], cols: [] };
+    for (let r = 0; r < rows; r++) {
+        const y = Math.round(corners.top + (r + 0.5) * cellHeight);
+        const pips = countScreenshotPips(image, corners.left - 1, y, -1, 0, cellWidth);
+        requirements.rows.push({ ...emptyRequirement(), ...pips });
+    }
+    for (let c = 0; c < cols; c++) {
+        const x = Math.round(corners.left + (c + 0.5) * cellWidth);
+        const pips = countScreenshotPips(image, x, corners.top - 1, 0, -1, cellHeight);
+        requirements.cols.push({ ...emptyRequirement(), ...pips });
+    }
+
+    const seen = new Set();
+    gridState.flat().filter(state => state.startsWith('locked-')).forEach(state => seen.add(state.slice(7)));
+    for (const req of [...requirements.rows, ...requirements.cols]) {
+        Object.keys(req).filter(color => req[color] > 0).forEach(color => seen.add(color));
+    }
+    const colors = Object.keys(SCREENSHOT_HUES).filter(color => seen.has(color));
+
+    return { rows, cols, colors, gridState, requirements };
+}
+
+/**
+ * Number of cells across the marked grid ('cols') or down it ('rows'), from 2 to 10
+ * Grid lines show up as evenly spaced edges, so each count is scored by the edge strength
+ * at the positions its lines would have. A divisor of the true count scores as well as the
+ * count itself, so the largest count close to the best score wins.
+ */
+function detectGridLineCount(image, corners, axis) {
+    const across = axis === 'cols';
+    const start = across ? corners.left : corners.top;
+    const end = across ? corners.right : corners.bottom;
+    const sideStart = across ? corners.top : corners.left;
+    const sideEnd = across ? corners.bottom : corners.right;
+    const step = Math.max(1, Math.floor((sideEnd - sideStart) / 200));
+
+    // Average brightness change between neighbouring pixels at each position along the axis
+    const profile = [];
+    for (let p = start; p < end; p++) {
+        let total = 0;
+        let samples = 0;
+        for (let q = sideStart; q < sideEnd; q += step) {
+            const here = across ? pixelLuminance(image, p, q) : pixelLuminance(image, q, p);
+            const next = across ? pixelLuminance(image, p + 1, q) : pixelLuminance(image, q, p + 1);
+            total += Math.abs(next - here);
+            samples++;
+        }
+        profile.push(samples > 0 ? total / samples : 0);
+    }
+    const mean = profile.reduce((sum, v) => sum + v, 0) / Math.max(1, profile.length);
+    if (mean === 0) return 2;
+
+    const scores = {};
+    for (let count = 2; count <= 10; count++) {
+        const spacing = profile.length / count;
+        const slack = Math.max(1, Math.round(spacing * 0.08));
+        let total = 0;
+        for (let i = 1; i < count; i++) {
+            const center = Math.round(i * spacing);
+            let peak = 0;
+            for (let p = Math.max(0, center - slack); p <= Math.min(profile.length - 1, center + slack); p++) {
+                peak = Math.max(peak, profile[p]);
+            }
+            total += peak;
+        }
+        scores[count] = total / (count - 1) / mean;
+    }
+
+    const best = Math.max(...Object.values(scores));
+    let chosen = 2;
+    for (let count = 2; count <= 10; count++) {
+        if (scores[count] >= best * 0.9) chosen = count;
+    }
+    return chosen;
+}
+
+/**
+ * Sort each cell into 'empty', 'blocked' or 'locked-<color>' by the average color of its middle
+ * Cells without a board color are blocked when they stand out from the typical (median) one.
+ */
+function readScreenshotCells(image, corners, rows, cols) {
+    const cellWidth = (corners.right - corners.left) / cols;
+    const cellHeight = (corners.bottom - corners.top) / rows;
+    const gridState = [];
+    const plain = [];
+
+    for (let r = 0; r < rows; r++) {
+        const row = [];
+        for (let c = 0; c < cols; c++) {
+            const x = corners.left + c * cellWidth;
+            const y = corners.top + r * cellHeight;
+            const [red, green, blue] = averageColor(image,
+                x + cellWidth * 0.25, y + cellHeight * 0.25, x + cellWidth * 0.75, y + cellHeight * 0.75);
+            const color = matchScreenshotColor(red, green, blue);
+            if (color) {
+                row.push(`locked-${color}`);
+            } else {
+                row.push('empty');
+                plain.push({ r, c, luminance: 0.299 * red + 0.587 * green + 0.114 * blue });
+            }
+        }
+        gridState.push(row);
+    }
+
+    if (plain.length > 0) {
+        const sorted = plain.map(cell => cell.luminance).sort((a, b) => a - b);
+        const typical = sorted[Math.floor(sorted.length / 2)];
+        for (const cell of plain) {
+            if (Math.abs(cell.luminance - typical) > SCREENSHOT_BLOCKED_CONTRAST) {
+                gridState[cell.r][cell.c] = 'blocked';
+            }
+        }
+    }
+    return gridState;
+}
+
+/**
+ * Count colored pips walking from (x, y) in direction (dx, dy) toward the image edge
+ * Pips are runs of pixels of one board color; the walk ends after a gap of maxGap pixels,
+ * so a line without pips stops before reaching other colored parts of the screen.
+ * Returns { color: count } for the colors seen.
+ */
+function countScreenshotPips(image, x, y, dx, dy, maxGap) {
+    const counts = {};
+    let runColor = null;
+    let runLength = 0;
+    let gap = 0;
+
+    const endRun = () => {
+        if (runColor && runLength >= 2) {
+            counts[runColor] = (counts[runColor] || 0) + 1;
+        }
+        runColor = null;
+        runLength = 0;
+    };
+
+    for (; x >= 0 && y >= 0 && x < image.width && y < image.height; x += dx, y += dy) {
+        // Average across the walk to smooth out anti-aliasing
+        const [red, green, blue] = dx !== 0
+            ? averageColor(image, x, y - 2, x + 1, y + 3)
+            : averageColor(image, x - 2, y, x + 3, y + 1);
+        const color = matchScreenshotColor(red, green, blue);
+
+        if (color === runColor && color) {
+            runLength++;
+            continue;
+        }
+        endRun();
+        if (color) {
+            runColor = color;
+            runLength = 1;
+            gap = 0;
+        } else if (++gap > maxGap) {
+            break;
+        }
+    }
+    endRun();
+    return counts;
+}
+
+/**
+ * The board color an RGB value shows, or null for greys, dark and washed-out colors
+ */
+function matchScreenshotColor(red, green, blue) {
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const value = max / 255;
+    const saturation = max === 0 ? 0 : (max - min) / max;
+    if (saturation < SCREENSHOT_MIN_SATURATION || value < SCREENSHOT_MIN_VALUE) return null;
+
+    let hue;
+    if (max === red) hue = 60 * (((green - blue) / (max - min)) % 6);
+    else if (max === green) hue = 60 * ((blue - red) / (max - min) + 2);
+    else hue = 60 * ((red - green) / (max - min) + 4);
+    if (hue < 0) hue += 360;
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const [color, target] of Object.entries(SCREENSHOT_HUES)) {
+        const distance = Math.min(Math.abs(hue - target), 360 - Math.abs(hue - target));
+        if (distance < bestDistance) {
+            best = color;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= 40 ? best : null;
+}
+
+/**
+ * Average RGB over the pixels in [x0, x1) x [y0, y1), clipped to the image
+ */
+function averageColor(image, x0, y0, x1, y1) {
+    const left = Math.max(0, Math.floor(x0));
+    const top = Math.max(0, Math.floor(y0));
+    const right = Math.min(image.width, Math.max(left + 1, Math.floor(x1)));
+    const bottom = Math.min(image.height, Math.max(top + 1, Math.floor(y1)));
+    const total = [0, 0, 0];
+    let count = 0;
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            const i = (y * image.width + x) * 4;
+            total[0] += image.data[i];
+            total[1] += image.data[i + 1];
+            total[2] += image.data[i + 2];
+            count++;
+        }
+    }
+    return count > 0 ? total.map(v => v / count) : [0, 0, 0];
+}
+
+function pixelLuminance(image, x, y) {
+    const px = Math.min(image.width - 1, Math.max(0, Math.round(x)));
+    const py = Math.min(image.height - 1, Math.max(0, Math.round(y)));
+    const i = (py * image.width + px) * 4;
+    return 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+}
+
+// Node loads the reader as a CommonJS module (require, or import from ES modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCREENSHOT_HUES,
+        SCREENSHOT_MIN_SATURATION,
+        SCREENSHOT_MIN_VALUE,
+        SCREENSHOT_BLOCKED_CONTRAST,
+        readScreenshotBoard,
+        detectGridLineCount,
+        readScreenshotCells,
+        countScreenshotPips,
+        matchScreenshotColor,
+        averageColor,
+        pixelLuminance
+    };
+}
@@ -3,6 +3,8 @@
  *
  * Each shape is defined as an array of [row, col] offsets from origin (0,0).
  * Rotations are generated automatically in 90° increments.
+ * Shapes with allowReflection also get a "<id>-mirror" entry when their mirror image
+ * is not just a rotation of the original.
  */
 
 const SHAPE_DEFINITIONS = {
@@ -33,31 +35,20 @@ const SHAPE_DEFINITIONS = {
         cells: [[0, 0], [0, 1], [0, 2], [0, 3]]
     },
 
-    // 3-block L shape
+    // 3-block L shape (its mirror image is a rotation)
     "L-3": {
         name: "3-Block L",
         cells: [[0, 0], [1, 0], [1, 1]]
     },
 
-    // 3-block L shape (mirrored)
-    "L-3-mirror": {
-        name: "3-Block L (Mirror)",
-        cells: [[0, 1], [1, 0], [1, 1]]
-    },
-
     // 4-block L shape
     "L-4": {
         name: "4-Block L",
-        cells: [[0, 0], [1, 0], [2, 0], [2, 1]]
-    },
-
-    // 4-block L shape (mirrored)
-    "L-4-mirror": {
-        name: "4-Block L (Mirror)",
-        cells: [[0, 1], [1, 1], [2, 0], [2, 1]]
+        cells: [[0, 0], [1, 0], [2, 0], [2, 1]],
+        allowReflection: true
     },
 
-    // 5-block Big L (symmetrical)
+    // 5-block Big L (symmetrical, so its mirror image is a rotation)
     // X
     // X
     // X X X
@@ -66,15 +57,6 @@ const SHAPE_DEFINITIONS = {
         cells: [[0, 0], [1, 0], [2, 0], [2, 1], [2, 2]]
     },
 
-    // 5-block Big L (mirrored)
-    //     X
-    //     X
-    // X X X
-    "L-5-mirror": {
-        name: "5-Block Big L (Mirror)",
-        cells: [[0, 2], [1, 2], [2, 0], [2, 1], [2, 2]]
-    },
-
     // 4-block T shape
     "T-4": {
         name: "4-Block T",
@@ -88,17 +70,8 @@ const SHAPE_DEFINITIONS = {
     // . X .
     "T-6": {
         name: "6-Block T",
-        cells: [[0, 0], [1, 0], [1, 1], [1, 2], [2, 1], [3, 1]]
-    },
-
-    // 6-block T shape mirrored (extra block on top-right)
-    // . . X
-    // X X X
-    // . X .
-    // . X .
-    "T-6-mirror": {
-        name: "6-Block T (Mirror)",
-        cells: [[0, 2], [1, 0], [1, 1], [1, 2], [2, 1], [3, 1]]
+        cells: [[0, 0], [1, 0], [1, 1], [1, 2], [2, 1], [3, 1]],
+        allowReflection: true
     },
 
     // 5-block cross (plus sign)
@@ -110,13 +83,8 @@ const SHAPE_DEFINITIONS = {
     // 6-block J shape (3x3 with center missing and 2 contiguous corner blocks missing)
     "J-6": {
         name: "6-Block J",
-        cells: [[0, 2], [1, 0], [1, 2], [2, 0], [2, 1], [2, 2]]
-    },
-
-    // 6-block J shape (mirrored)
-    "J-6-mirror": {
-        name: "6-Block J (Mirror)",
-        cells: [[0, 0], [1, 0], [1, 2], [2, 0], [2, 1], [2, 2]]
+        cells: [[0, 2], [1, 0], [1, 2], [2, 0], [2, 1], [2, 2]],
+        allowReflection: true
     },
 
     // 6-block zigzag vertical
@@ -126,33 +94,17 @@ const SHAPE_DEFINITIONS = {
     //   X
     "zigzag-6": {
         name: "6-Block Zigzag",
-        cells: [[0, 1], [1, 0], [1, 1], [2, 1], [2, 2], [3, 1]]
-    },
-
-    // 6-block zigzag vertical (mirrored)
-    //   X
-    //   X X
-    // X X
-    //   X
-    "zigzag-6-mirror": {
-        name: "6-Block Zigzag (Mirror)",
-        cells: [[0, 1], [1, 1], [1, 2], [2, 0], [2, 1], [3, 1]]
+        cells: [[0, 1], [1, 0], [1, 1], [2, 1], [2, 2], [3, 1]],
+        allowReflection: true
     },
 
-    // 4-block Z tetromino
+    // 4-block Z tetromino (its mirror is the S tetromino)
     // X X .
     // . X X
     "Z-4": {
         name: "4-Block Z",
-        cells: [[0, 0], [0, 1], [1, 1], [1, 2]]
-    },
-
-    // 4-block S tetromino (Z mirrored)
-    // . X X
-    // X X .
-    "Z-4-mirror": {
-        name: "4-Block Z (Mirror)",
-        cells: [[0, 1], [0, 2], [1, 0], [1, 1]]
+        cells: [[0, 0], [0, 1], [1, 1], [1, 2]],
+        allowReflection: true
     }
 };
 
@@ -172,6 +124,15 @@ function rotateShape90(cells) {
     return rotated.map(([r, c]) => [r - minRow, c - minCol]);
 }
 
+/**
+ * Mirror a shape left to right
+ * Transform: (row, col) -> (row, maxCol - col)
+ */
+function reflectShape(cells) {
+    const maxCol = Math.max(...cells.map(([r, c]) => c));
+    return cells.map(([r, c]) => [r, maxCol - c]);
+}
+
 /**
  * Generate all unique rotations of a shape (0°, 90°, 180°, 270°)
  */
@@ -230,6 +191,46 @@ function getShapeBounds(cells) {
     };
 }
 
+/**
+ * Add a shape to the library, plus its mirror image if the definition allows reflection
+ * and the mirror is not just a rotation. Mirror pairs point at each other via chiralPartner.
+ */
+function addShapeToLibrary(library, id, definition, isCustom) {
+    const rotations = getAllRotations(definition.cells);
+    library[id] = {
+        name: definition.name,
+        baseShape: definition.cells,
+        rotations: rotations,
+        cellCount: definition.cells.length,
+        isCustom: isCustom
+    };
+
+    if (!definition.allowReflection) return;
+
+    const mirrored = reflectShape(definition.cells);
+    if (rotations.some(rotation => shapesEqual(rotation, mirrored))) return;
+
+    const mirrorId = `${id}-mirror`;
+    library[mirrorId] = {
+        name: `${definition.name} (Mirror)`,
+        baseShape: mirrored,
+        rotations: getAllRotations(mirrored),
+        cellCount: mirrored.length,
+        isCustom: isCustom,
+        isMirror: true,
+        chiralPartner: id
+    };
+    library[id].chiralPartner = mirrorId;
+}
+
+/**
+ * Shape ids a piece may be placed as: itself, plus its mirror image when reflection is allowed
+ */
+function getShapeVariants(shapeId, allowReflection = false) {
+    const partner = SHAPE_LIBRARY[shapeId].chiralPartner;
+    return allowReflection && partner ? [shapeId, partner] : [shapeId];
+}
+
 /**
  * Build complete shape library with all rotations
  */
@@ -238,14 +239,7 @@ function buildShapeLibrary() {
 
     // Load built-in shapes
     for (const [id, definition] of Object.entries(SHAPE_DEFINITIONS)) {
-        const rotations = getAllRotations(definition.cells);
-        library[id] = {
-            name: definition.name,
-            baseShape: definition.cells,
-            rotations: rotations,
-            cellCount: definition.cells.length,
-            isCustom: false
-        };
+        addShapeToLibrary(library, id, definition, false);
     }
 
     // Load custom shapes from localStorage
@@ -254,32 +248,51 @@ function buildShapeLibrary() {
     return library;
 }
 
+// Storage custom shapes are read from; undefined means localStorage where there is one
+let customShapeStorage;
+
+/**
+ * Read custom shapes from another storage and rebuild SHAPE_LIBRARY
+ * storage: anything with getItem(key) like localStorage, or null for built-in shapes only
+ * (e.g. scripts and tests in Node)
+ */
+function setShapeStorage(storage) {
+    customShapeStorage = storage;
+    refreshShapeLibrary();
+}
+
 /**
- * Load custom shapes from localStorage into the library
+ * Read saved custom shape definitions from the shape storage
+ * Returns an empty object where there is none (e.g. inside a Web Worker or in Node)
  */
-function loadCustomShapesIntoLibrary(library) {
+function readCustomShapes() {
+    const storage = customShapeStorage !== undefined ? customShapeStorage
+        : (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!storage) return {};
+    return JSON.parse(storage.getItem('customShapes') || '{}');
+}
+
+/**
+ * Load custom shapes into the library
+ * Definitions come from the shape storage unless passed in explicitly
+ */
+function loadCustomShapesIntoLibrary(library, customShapes) {
     try {
-        const customShapes = JSON.parse(localStorage.getItem('customShapes') || '{}');
+        customShapes = customShapes || readCustomShapes();
         for (const [id, definition] of Object.entries(customShapes)) {
-            const rotations = getAllRotations(definition.cells);
-            library[id] = {
-                name: definition.name,
-                baseShape: definition.cells,
-                rotations: rotations,
-                cellCount: definition.cells.length,
-                isCustom: true
-            };
+            addShapeToLibrary(library, id, definition, true);
         }
     } catch (e) {
-        console.warn('Failed to load custom shapes from localStorage:', e);
+        console.warn('Failed to load custom shapes:', e);
     }
 }
 
 /**
  * Refresh the SHAPE_LIBRARY with any new custom shapes
  * Call this after adding/removing custom shapes
+ * Pass customShapes to use definitions other than the ones in the shape storage
  */
-function refreshShapeLibrary() {
+function refreshShapeLibrary(customShapes) {
     // Clear and rebuild
     for (const key of Object.keys(SHAPE_LIBRARY)) {
         delete SHAPE_LIBRARY[key];
@@ -287,19 +300,33 @@ function refreshShapeLibrary() {
 
     // Reload built-in shapes
     for (const [id, definition] of Object.entries(SHAPE_DEFINITIONS)) {
-        const rotations = getAllRotations(definition.cells);
-        SHAPE_LIBRARY[id] = {
-            name: definition.name,
-            baseShape: definition.cells,
-            rotations: rotations,
-            cellCount: definition.cells.length,
-            isCustom: false
-        };
+        addShapeToLibrary(SHAPE_LIBRARY, id, definition, false);
     }
 
     // Reload custom shapes
-    loadCustomShapesIntoLibrary(SHAPE_LIBRARY);
+    loadCustomShapesIntoLibrary(SHAPE_LIBRARY, customShapes);
 }
 
 // Export for use in solver
-const SHAPE_LIBRARY = buildShapeLibrary();
+// (var, as the other scripts name it again in their Node-only imports, which a const would not allow)
+var SHAPE_LIBRARY = buildShapeLibrary();
+
+// The page and the worker use these as globals; Node gets them as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHAPE_DEFINITIONS,
+        SHAPE_LIBRARY,
+        rotateShape90,
+        reflectShape,
+        getAllRotations,
+        shapesEqual,
+        getShapeBounds,
+        addShapeToLibrary,
+        getShapeVariants,
+        buildShapeLibrary,
+        setShapeStorage,
+        readCustomShapes,
+        loadCustomShapesIntoLibrary,
+        refreshShapeLibrary
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * Solver Worker for Originium Circuitry
+ * Runs the solver and puzzle generator off the main thread so the page stays responsive.
+ *
+ * The page also loads this file as a plain script: runSolverJob is then used directly
+ * when the worker cannot be started (e.g. pages opened from file://).
+ */
+
+// Minimum milliseconds between progress messages posted to the page
+const PROGRESS_MESSAGE_INTERVAL = 100;
+
+/**
+ * Run one solver or generator job
+ * job: { kind: 'solve' | 'fitAllPieces' | 'deduce' | 'record' | 'hint' | 'generate' | 'generateRated', args, options, config, difficulty, seed }
+ * hooks: { onProgress(nodesExplored, solutionCount), onSolution(solution) }
+ */
+function runSolverJob(job, hooks = {}) {
+    if (job.kind === 'generate') {
+        const puzzle = PuzzleGenerator.generate(job.config);
+        return puzzle && { ...puzzle, rating: ratePuzzle(puzzle, job.config.colors) };
+    }
+    if (job.kind === 'generateRated') {
+        return generateRatedPuzzle(job.difficulty, job.seed);
+    }
+    if (job.kind === 'deduce') {
+        return runDeductionSolver(...job.args, job.options);
+    }
+    if (job.kind === 'record') {
+        return recordSearch(...job.args, job.options);
+    }
+    if (job.kind === 'hint') {
+        return findPuzzleHint(...job.args, job.options);
+    }
+
+    const options = { ...job.options, onProgress: hooks.onProgress, onSolution: hooks.onSolution };
+    if (job.kind === 'fitAllPieces') {
+        return runFitAllPiecesSolver(...job.args, options);
+    }
+
+    const result = runSolverWithShapeCounts(...job.args, options);
+    // Explain a search that found nothing with the requirements that conflict
+    if (result.solutionCount === 0) {
+        result.conflict = findConflictingLines(...job.args, {
+            allowReflection: options.allowReflection,
+            requireAllPieces: options.requireAllPieces
+        });
+    }
+    return result;
+}
+
+if (typeof importScripts === 'function') {
+    importScripts('shapes.js', 'solver.js', 'deduction.js', 'puzzle-generator.js');
+
+    self.onmessage = (event) => {
+        const { id, job } = event.data;
+        let lastProgressTime = 0;
+
+        // Workers have no localStorage, so custom shapes travel with each job
+        refreshShapeLibrary(job.customShapes || {});
+
+        try {
+            const result = runSolverJob(job, {
+                onProgress: (nodesExplored, solutionCount) => {
+                    const now = Date.now();
+                    if (now - lastProgressTime < PROGRESS_MESSAGE_INTERVAL) return;
+                    lastProgressTime = now;
+                    self.postMessage({ id, type: 'progress', nodesExplored, solutionCount });
+                },
+                onSolution: solution => self.postMessage({ id, type: 'solution', solution })
+            });
+            self.postMessage({ id, type: 'done', result });
+        } catch (e) {
+            self.postMessage({ id, type: 'error', message: e.message });
+        }
+    };
+}
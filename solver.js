@@ -1,8 +1,18 @@
 /**
  * Puzzle Solver for Originium Circuitry
- * Uses backtracking search with constraint propagation
+ * Two interchangeable search engines: a cell-by-cell backtracker and an
+ * exact-cover (Dancing Links) search, both with row/column count pruning
  */
 
+// The page and the worker load the shape library as a global script. In Node it is a module, so
+// take what the solver uses from it into this module's scope (var, as a const would end at the brace).
+if (typeof module !== 'undefined' && module.exports) {
+    var { SHAPE_LIBRARY, getShapeBounds, getShapeVariants } = require('./shapes.js');
+}
+
+// Search nodes between onProgress callbacks
+const PROGRESS_INTERVAL = 5000;
+
 /**
  * Generate all valid placements for a specific shape on the grid
  */
@@ -38,6 +48,15 @@ function generatePlacementsForShape(shapeId, gridRows, gridCols, blockedSet) {
     return placements;
 }
 
+/**
+ * Generate placements for one piece, including its mirror image when reflection is allowed
+ * Mirrored placements carry the mirror's shapeId
+ */
+function generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, allowReflection = false) {
+    return getShapeVariants(shapeId, allowReflection)
+        .flatMap(variantId => generatePlacementsForShape(variantId, gridRows, gridCols, blockedSet));
+}
+
 /**
  * Generate all valid placements for enabled shapes on the grid
  */
@@ -73,10 +92,10 @@ function calculateCounts(cells, gridRows, gridCols) {
  */
 function countsMatch(rowCounts, colCounts, rowReqs, colReqs, color) {
     for (let r = 0; r < rowCounts.length; r++) {
-        if (rowCounts[r] !== rowReqs[r][color]) return false;
+        if (rowCounts[r] !== (rowReqs[r][color] || 0)) return false;
     }
     for (let c = 0; c < colCounts.length; c++) {
-        if (colCounts[c] !== colReqs[c][color]) return false;
+        if (colCounts[c] !== (colReqs[c][color] || 0)) return false;
     }
     return true;
 }
@@ -86,230 +105,1260 @@ function countsMatch(rowCounts, colCounts, rowReqs, colReqs, color) {
  */
 function countsExceed(rowCounts, colCounts, rowReqs, colReqs, color) {
     for (let r = 0; r < rowCounts.length; r++) {
-        if (rowCounts[r] > rowReqs[r][color]) return true;
+        if (rowCounts[r] > (rowReqs[r][color] || 0)) return true;
     }
     for (let c = 0; c < colCounts.length; c++) {
-        if (colCounts[c] > colReqs[c][color]) return true;
+        if (colCounts[c] > (colReqs[c][color] || 0)) return true;
     }
     return false;
 }
 
 /**
- * Solve for a single color using backtracking
+ * Check whether any row or column has a requirement for the given color
+ */
+function hasColorRequirement(rowReqs, colReqs, color) {
+    return rowReqs.some(r => (r[color] || 0) > 0) || colReqs.some(c => (c[color] || 0) > 0);
+}
+
+/**
+ * Treat locked cells as blocked and take them out of the requirements they count toward
+ * The searches only place pieces on empty cells, so this is the board they solve.
+ * Returns { gridState, rowReqs, colReqs } with one { color: count } per line
+ */
+function removeLockedCells(gridRows, gridCols, gridState, rowReqs, colReqs, colors) {
+    const unlockedRows = rowReqs.map(req => Object.fromEntries(colors.map(color => [color, req[color] || 0])));
+    const unlockedCols = colReqs.map(req => Object.fromEntries(colors.map(color => [color, req[color] || 0])));
+    const unlockedState = gridState.map(row => row.map(cell => cell.startsWith('locked-') ? 'blocked' : cell));
+
+    for (let r = 0; r < gridRows; r++) {
+        for (let c = 0; c < gridCols; c++) {
+            const color = gridState[r][c].startsWith('locked-') ? gridState[r][c].slice(7) : null;
+            if (color && colors.includes(color)) {
+                unlockedRows[r][color] = Math.max(0, unlockedRows[r][color] - 1);
+                unlockedCols[c][color] = Math.max(0, unlockedCols[c][color] - 1);
+            }
+        }
+    }
+    return { gridState: unlockedState, rowReqs: unlockedRows, colReqs: unlockedCols };
+}
+
+/**
+ * Collect blocked cells from a grid state
+ */
+function getBlockedCells(gridRows, gridCols, gridState) {
+    const blockedCells = [];
+    for (let r = 0; r < gridRows; r++) {
+        for (let c = 0; c < gridCols; c++) {
+            if (gridState[r][c] === 'blocked') {
+                blockedCells.push([r, c]);
+            }
+        }
+    }
+    return blockedCells;
+}
+
+/**
+ * Collect pinned cells ('pinned-<color>': some piece of that color must cover the cell) from a grid state
+ * Returns [{ cell: [r, c], color }]
+ */
+function getPinnedCells(gridRows, gridCols, gridState) {
+    const pinnedCells = [];
+    for (let r = 0; r < gridRows; r++) {
+        for (let c = 0; c < gridCols; c++) {
+            if (gridState[r][c].startsWith('pinned-')) {
+                pinnedCells.push({ cell: [r, c], color: gridState[r][c].slice(7) });
+            }
+        }
+    }
+    return pinnedCells;
+}
+
+/**
+ * Color index each cell is pinned to (-1 for none), from problem.pinnedCells
+ * Returns null when a pin cannot be met: its cell is blocked or its color is not searched.
+ */
+function getCellPins(problem) {
+    const { gridRows, gridCols, blockedCells, colors } = problem;
+    const pins = new Int8Array(gridRows * gridCols).fill(-1);
+    const blocked = new Set(blockedCells.map(([r, c]) => r * gridCols + c));
+    for (const { cell: [r, c], color } of problem.pinnedCells || []) {
+        const k = r * gridCols + c;
+        if (blocked.has(k) || !colors.includes(color)) return null;
+        pins[k] = colors.indexOf(color);
+    }
+    return pins;
+}
+
+/**
+ * Fix pinned pieces in place before a search: their cells become locked cells of the piece's
+ * color, so removeLockedCells takes them out of the board and the requirements, and the pieces
+ * come out of shapeCounts. With options.allowReflection a mirrored piece uses its mirror image's
+ * count when the shape has none left.
+ * pinnedPieces: [{ shapeId, color, rotationIndex, cells }] as getSolutionPieces returns them
+ * Returns { gridState, shapeCounts, issues } with issues shaped like diagnoseBoard's
+ */
+function lockPinnedPieces(gridRows, gridCols, gridState, shapeCounts, pinnedPieces, colors, options = {}) {
+    const lockedState = gridState.map(row => [...row]);
+    const counts = isColorInventory(shapeCounts)
+        ? Object.fromEntries(Object.entries(shapeCounts).map(([color, pool]) => [color, { ...pool }]))
+        : { ...shapeCounts };
+    const issues = [];
+    const position = (r, c) => `row ${r + 1}, column ${c + 1}`;
+
+    for (const piece of pinnedPieces) {
+        const shape = SHAPE_LIBRARY[piece.shapeId];
+        const name = `pinned ${piece.color} ${shape ? shape.name : piece.shapeId}`;
+        if (!colors.includes(piece.color)) {
+            issues.push({ message: `The ${name} is a color that is not being solved`, lines: [], cells: piece.cells });
+            continue;
+        }
+
+        for (const [r, c] of piece.cells) {
+            const state = r >= 0 && r < gridRows && c >= 0 && c < gridCols ? lockedState[r][c] : null;
+            if (state === 'empty' || state === `pinned-${piece.color}`) {
+                lockedState[r][c] = `locked-${piece.color}`;
+            } else if (state === null) {
+                issues.push({ message: `The ${name} goes off the board`, lines: [], cells: [] });
+            } else if (state.startsWith('pinned-')) {
+                issues.push({ message: `The ${name} covers a cell pinned ${state.slice(7)} at ${position(r, c)}`, lines: [], cells: [[r, c]] });
+            } else if (gridState[r][c] === 'empty' || gridState[r][c].startsWith('pinned-')) {
+                issues.push({ message: `Pinned pieces overlap at ${position(r, c)}`, lines: [], cells: [[r, c]] });
+            } else {
+                issues.push({
+                    message: `The ${name} covers a ${state === 'blocked' ? 'blocked' : 'locked'} cell at ${position(r, c)}`,
+                    lines: [],
+                    cells: [[r, c]]
+                });
+            }
+        }
+
+        const pool = isColorInventory(counts) ? counts[piece.color] || {} : counts;
+        const partner = options.allowReflection && shape && shape.chiralPartner;
+        const shapeId = pool[piece.shapeId] > 0 || !(pool[partner] > 0) ? piece.shapeId : partner;
+        if (pool[shapeId] > 0) {
+            pool[shapeId]--;
+        } else {
+            const who = isColorInventory(counts) ? `${piece.color} ` : '';
+            issues.push({ message: `No ${who}${shape ? shape.name : piece.shapeId} pieces are left for the ${name}`, lines: [], cells: piece.cells });
+        }
+    }
+    return { gridState: lockedState, shapeCounts: counts, issues };
+}
+
+/**
+ * A copy of a solution found without the pinned pieces (see lockPinnedPieces) with them added back
+ */
+function addPinnedPieces(solution, pinnedPieces) {
+    const pinned = { ...solution };
+    for (const { shapeId, color, rotationIndex, cells } of pinnedPieces) {
+        pinned[`${color}Placements`] = [{ shapeId, rotationIndex, cells }, ...(pinned[`${color}Placements`] || [])];
+        pinned[color] = [...cells, ...(pinned[color] || [])];
+    }
+    return pinned;
+}
+
+/**
+ * Whether shapeCounts is a per-color inventory ({ color: { shapeId: count } }) rather than
+ * counts shared by all colors ({ shapeId: count })
+ */
+function isColorInventory(shapeCounts) {
+    return Boolean(shapeCounts) && Object.values(shapeCounts).some(value => typeof value === 'object');
+}
+
+/**
+ * Shape ids used by shared counts or by any color of an inventory
+ */
+function getInventoryShapeIds(shapeCounts) {
+    if (!isColorInventory(shapeCounts)) return Object.keys(shapeCounts);
+    return [...new Set(Object.values(shapeCounts).flatMap(counts => Object.keys(counts)))];
+}
+
+/**
+ * Total count of each shape over all colors of an inventory (shared counts are returned as is)
+ */
+function mergeInventory(shapeCounts) {
+    if (!isColorInventory(shapeCounts)) return shapeCounts;
+    const merged = {};
+    for (const counts of Object.values(shapeCounts)) {
+        for (const [shapeId, count] of Object.entries(counts)) {
+            merged[shapeId] = (merged[shapeId] || 0) + count;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Shape counts with each mirror image's count folded into its partner's when reflection is allowed
+ * Either partner's placements then cover both handednesses, so keeping two pools would let
+ * the pieces swap keys and count every layout twice. Per-color inventories are merged per color.
+ */
+function mergeChiralCounts(shapeCounts, allowReflection = false) {
+    if (!allowReflection || !shapeCounts) return shapeCounts;
+    const merge = counts => {
+        const merged = {};
+        for (const [shapeId, count] of Object.entries(counts)) {
+            const shape = SHAPE_LIBRARY[shapeId];
+            const key = shape && shape.isMirror && counts[shape.chiralPartner] !== undefined ? shape.chiralPartner : shapeId;
+            merged[key] = (merged[key] || 0) + count;
+        }
+        return merged;
+    };
+    return isColorInventory(shapeCounts)
+        ? Object.fromEntries(Object.entries(shapeCounts).map(([color, counts]) => [color, merge(counts)]))
+        : merge(shapeCounts);
+}
+
+/**
+ * Build a solution object with `<color>` and `<color>Placements` entries for every color
+ * Colors without a per-color result get empty arrays
+ */
+function buildSolution(colors, colorResults) {
+    const solution = {};
+    for (const color of colors) {
+        const result = colorResults[color];
+        solution[color] = result ? result.cells : [];
+        solution[`${color}Placements`] = result ? result.placements : [];
+    }
+    return solution;
+}
+
+/**
+ * Read solution limits from solver options
+ * maxSolutions: layouts to build and return (default 50, 0 to only count)
+ * countLimit: stop counting after this many layouts (default maxSolutions, never below it)
+ */
+function getSolutionLimits(options) {
+    const maxSolutions = options.maxSolutions ?? 50;
+    const countLimit = Math.max(options.countLimit || 0, maxSolutions) || Infinity;
+    return { maxSolutions, countLimit };
+}
+
+/**
+ * Describe a solution count for display, e.g. "Unique solution" or "At least 1,000 solutions"
+ * complete is false when counting stopped at the limit
+ */
+function describeSolutionCount(solutionCount, complete) {
+    if (!complete) return `At least ${solutionCount.toLocaleString()} solutions`;
+    if (solutionCount === 0) return 'No solutions';
+    if (solutionCount === 1) return 'Unique solution';
+    return `${solutionCount.toLocaleString()} solutions`;
+}
+
+/**
+ * Joint search over all colors
+ *
+ * Cells are visited in row-major order. At each free cell the search either covers it with
+ * a placement anchored there (the placement's first cell in row-major order) in one of the
+ * colors, or leaves it empty. Every layout is reached exactly once, so the search is
+ * complete and never reports the same layout twice, as long as no placement is listed under
+ * two shape ids (the run* solvers fold chiral partners together with mergeChiralCounts).
+ *
+ * Pruning: a row/column may never exceed its requirement for a color, and its remaining
+ * requirement (all colors) may never exceed the free cells the search has not passed yet.
+ *
+ * problem: { gridRows, gridCols, blockedCells, pinnedCells, rowReqs, colReqs, colors, placementsByShape, shapeCounts, requireAllPieces }
+ * pinnedCells: [{ cell: [r, c], color }] cells that must be covered by a piece of that color (see getPinnedCells)
+ * shapeCounts limits how many instances of each shape may be used; null means unlimited.
+ * A per-color inventory ({ color: { shapeId: count } }) limits each color to its own pieces.
+ * requireAllPieces only accepts layouts that use every counted instance.
+ * A null entry in rowReqs/colReqs leaves that line unconstrained.
+ * options: { maxSolutions, countLimit, nodeLimit, cellCounts, onSolution(solution), onProgress(nodesExplored, solutionCount), onEvent(event) }
+ * Only the first maxSolutions layouts are built; counting goes on until countLimit.
+ * onEvent is told of every placement, pruned placement, backtrack and solution (see recordSearch);
+ * returning false from it stops the search.
+ * Returns { solutions, solutionCount, complete, nodesExplored, cellCounts }; complete means solutionCount is exact.
+ * With the cellCounts option, cellCounts[ci][k] is how many counted layouts cover cell k in colors[ci].
+ */
+function searchLayouts(problem, options = {}) {
+    const { gridRows, gridCols, blockedCells, rowReqs, colReqs, colors, placementsByShape, shapeCounts } = problem;
+    const requireAllPieces = Boolean(problem.requireAllPieces && shapeCounts);
+    const { maxSolutions, countLimit } = getSolutionLimits(options);
+    const nodeLimit = options.nodeLimit || Infinity;
+    const cellCount = gridRows * gridCols;
+    const solutions = [];
+    let solutionCount = 0;
+    let nodesExplored = 0;
+
+    // Occupancy by cell index (r * gridCols + c)
+    const occupied = new Uint8Array(cellCount);
+    for (const [r, c] of blockedCells) {
+        occupied[r * gridCols + c] = 1;
+    }
+
+    // Color index each cell is pinned to; placements of other colors may not cover it
+    const pins = getCellPins(problem);
+    if (!pins) return { solutions, solutionCount, complete: true, nodesExplored };
+    const pinnedOut = (option, ci) => option.indices.some(idx => pins[idx] >= 0 && pins[idx] !== ci);
+
+    // Remaining requirement per color per line, plus totals across colors
+    // Unconstrained lines get an endless per-color need and a total that only goes down
+    const rowNeed = colors.map(color => rowReqs.map(req => req ? (req[color] || 0) : Infinity));
+    const colNeed = colors.map(color => colReqs.map(req => req ? (req[color] || 0) : Infinity));
+    const rowNeedTotal = Array(gridRows).fill(0);
+    const colNeedTotal = Array(gridCols).fill(0);
+    for (let ci = 0; ci < colors.length; ci++) {
+        for (let r = 0; r < gridRows; r++) if (rowReqs[r]) rowNeedTotal[r] += rowNeed[ci][r];
+        for (let c = 0; c < gridCols; c++) if (colReqs[c]) colNeedTotal[c] += colNeed[ci][c];
+    }
+
+    // Free cells per line that the search has not passed yet
+    const rowFree = Array(gridRows).fill(0);
+    const colFree = Array(gridCols).fill(0);
+    for (let k = 0; k < cellCount; k++) {
+        if (!occupied[k]) {
+            rowFree[Math.floor(k / gridCols)]++;
+            colFree[k % gridCols]++;
+        }
+    }
+
+    const lineOk = (r, c) => rowNeedTotal[r] <= rowFree[r] && colNeedTotal[c] <= colFree[c];
+
+    for (let r = 0; r < gridRows; r++) {
+        if (rowNeedTotal[r] > rowFree[r]) return { solutions, solutionCount, complete: true, nodesExplored };
+    }
+    for (let c = 0; c < gridCols; c++) {
+        if (colNeedTotal[c] > colFree[c]) return { solutions, solutionCount, complete: true, nodesExplored };
+    }
+
+    // Remaining shape instances per color (Infinity when unlimited)
+    // All colors draw from one shared pool unless shapeCounts is a per-color inventory
+    const perColor = isColorInventory(shapeCounts);
+    const sharedPool = {};
+    const remaining = colors.map(() => perColor ? {} : sharedPool);
+    for (const shapeId of Object.keys(placementsByShape)) {
+        colors.forEach((color, ci) => {
+            remaining[ci][shapeId] = !shapeCounts ? Infinity
+                : perColor ? ((shapeCounts[color] || {})[shapeId] || 0)
+                : (shapeCounts[shapeId] || 0);
+        });
+    }
+
+    // Every required cell must come from some piece (of its own color with an inventory).
+    // When every piece must be used and all rows are constrained, the pieces must cover
+    // exactly the required cells.
+    const poolCells = pool => Object.entries(pool)
+        .reduce((sum, [shapeId, count]) => sum + count * SHAPE_LIBRARY[shapeId].cellCount, 0);
+    const colorNeed = ci => rowReqs.reduce((sum, req, r) => req ? sum + rowNeed[ci][r] : sum, 0);
+    const totalNeed = rowNeedTotal.reduce((a, b) => a + b, 0);
+    const exactCover = requireAllPieces && rowReqs.every(Boolean);
+    const piecesFit = (need, cells) => exactCover ? need === cells : need <= cells;
+    const enoughPieces = perColor
+        ? colors.every((color, ci) => piecesFit(colorNeed(ci), poolCells(remaining[ci])))
+        : piecesFit(totalNeed, poolCells(sharedPool));
+    if (!enoughPieces) return { solutions, solutionCount, complete: true, nodesExplored };
+
+    // Group placements by anchor cell
+    const anchored = Array.from({ length: cellCount }, () => []);
+    for (const [shapeId, placements] of Object.entries(placementsByShape)) {
+        if (remaining.every(pool => pool[shapeId] === 0)) continue;
+        for (const placement of placements) {
+            const indices = placement.cells.map(([r, c]) => r * gridCols + c);
+            anchored[Math.min(...indices)].push({ shapeId, placement, indices });
+        }
+    }
+
+    const chosen = colors.map(() => []);
+    const cellCounts = options.cellCounts ? colors.map(() => new Array(cellCount).fill(0)) : undefined;
+    let stopped = false;
+    const onEvent = options.onEvent;
+
+    function emit(event) {
+        if (onEvent({ ...event, node: nodesExplored }) === false) stopped = true;
+    }
+
+    function place(option, ci, delta) {
+        for (const k of option.indices) {
+            const r = Math.floor(k / gridCols);
+            const c = k % gridCols;
+            occupied[k] = delta > 0 ? 1 : 0;
+            rowNeed[ci][r] -= delta;
+            colNeed[ci][c] -= delta;
+            rowNeedTotal[r] -= delta;
+            colNeedTotal[c] -= delta;
+            rowFree[r] -= delta;
+            colFree[c] -= delta;
+        }
+        remaining[ci][option.shapeId] -= delta;
+    }
+
+    function placementOk(option, ci) {
+        for (const k of option.indices) {
+            const r = Math.floor(k / gridCols);
+            const c = k % gridCols;
+            if (rowNeed[ci][r] < 0 || colNeed[ci][c] < 0 || !lineOk(r, c)) return false;
+        }
+        return true;
+    }
+
+    // The line that placementOk turned a placement down for, as reported in prune events
+    function prunedLine(option, ci) {
+        for (const k of option.indices) {
+            const r = Math.floor(k / gridCols);
+            const c = k % gridCols;
+            if (rowNeed[ci][r] < 0) return { type: 'row', index: r, reason: 'over' };
+            if (colNeed[ci][c] < 0) return { type: 'col', index: c, reason: 'over' };
+            if (rowNeedTotal[r] > rowFree[r]) return { type: 'row', index: r, reason: 'room' };
+            if (colNeedTotal[c] > colFree[c]) return { type: 'col', index: c, reason: 'room' };
+        }
+        return null;
+    }
+
+    function recordSolution() {
+        solutionCount++;
+        if (solutions.length < maxSolutions) {
+            const colorResults = {};
+            colors.forEach((color, ci) => {
+                const placements = chosen[ci].map(option => option.placement);
+                colorResults[color] = { placements, cells: placements.flatMap(p => p.cells) };
+            });
+            const solution = buildSolution(colors, colorResults);
+            solutions.push(solution);
+            if (options.onSolution) options.onSolution(solution);
+        }
+        if (cellCounts) {
+            chosen.forEach((picked, ci) => picked.forEach(option => option.indices.forEach(k => cellCounts[ci][k]++)));
+        }
+        if (onEvent) emit({ type: 'solution', solutionCount });
+        if (solutionCount >= countLimit) stopped = true;
+    }
+
+    function search(k) {
+        nodesExplored++;
+        if (options.onProgress && nodesExplored % PROGRESS_INTERVAL === 0) {
+            options.onProgress(nodesExplored, solutionCount);
+        }
+        if (nodesExplored >= nodeLimit) {
+            stopped = true;
+            return;
+        }
+
+        // Skip cells already covered or blocked
+        while (k < cellCount && occupied[k]) k++;
+
+        if (k >= cellCount) {
+            // Every line has been passed, so lineOk checks guarantee exact counts
+            if (!requireAllPieces || remaining.every(pool => Object.values(pool).every(count => count === 0))) {
+                recordSolution();
+            }
+            return;
+        }
+
+        // Cover cell k with a placement anchored here
+        for (const option of anchored[k]) {
+            if (option.indices.some(idx => occupied[idx])) continue;
+
+            for (let ci = 0; ci < colors.length; ci++) {
+                if (remaining[ci][option.shapeId] <= 0 || pinnedOut(option, ci)) continue;
+                place(option, ci, 1);
+                const piece = onEvent && { color: colors[ci], shapeId: option.shapeId, cells: option.placement.cells };
+                if (placementOk(option, ci)) {
+                    if (onEvent) emit({ type: 'place', ...piece });
+                    chosen[ci].push(option);
+                    if (!stopped) search(k + 1);
+                    chosen[ci].pop();
+                    if (onEvent && !stopped) emit({ type: 'backtrack', ...piece });
+                } else if (onEvent) {
+                    emit({ type: 'prune', ...piece, line: prunedLine(option, ci) });
+                }
+                place(option, ci, -1);
+                if (stopped) return;
+            }
+        }
+
+        // Leave cell k empty, unless it is pinned
+        if (pins[k] >= 0) return;
+        const r = Math.floor(k / gridCols);
+        const c = k % gridCols;
+        occupied[k] = 1;
+        rowFree[r]--;
+        colFree[c]--;
+        if (lineOk(r, c)) {
+            search(k + 1);
+        } else if (onEvent) {
+            const line = rowNeedTotal[r] > rowFree[r] ? { type: 'row', index: r } : { type: 'col', index: c };
+            emit({ type: 'prune', color: null, shapeId: null, cells: [[r, c]], line: { ...line, reason: 'room' } });
+        }
+        rowFree[r]++;
+        colFree[c]++;
+        occupied[k] = 0;
+    }
+
+    search(0);
+    return { solutions, solutionCount, complete: !stopped, nodesExplored, cellCounts };
+}
+
+/**
+ * Exact-cover search (Algorithm X with Dancing Links)
+ *
+ * Every piece instance is a primary column and every cell an optional (secondary) column,
+ * except pinned cells: they are primary, and only rows of their own color cover them.
+ * Each matrix row places one instance at one placement in one color (its own color when
+ * it comes from a per-color inventory), or leaves the instance unused. Row/column requirements are side constraints checked as rows are
+ * chosen. Identical instances must be used in increasing row order so that swapping
+ * them never yields the same layout twice.
+ *
+ * Takes the same problem and options as searchLayouts, except that every line must be
+ * constrained. Unlimited shapes (shapeCounts null) get as many instances as could fit in
+ * the total requirement. With requireAllPieces there are no "unused" rows, so every
+ * instance has to be placed.
  */
-function solveForColor(color, placements, gridRows, gridCols, rowReqs, colReqs, forbiddenCells) {
+function searchLayoutsDLX(problem, options = {}) {
+    const { gridRows, gridCols, blockedCells, rowReqs, colReqs, colors, placementsByShape, shapeCounts } = problem;
+    const requireAllPieces = Boolean(problem.requireAllPieces && shapeCounts);
+    const { maxSolutions, countLimit } = getSolutionLimits(options);
+    const nodeLimit = options.nodeLimit || Infinity;
+    const cellCount = gridRows * gridCols;
     const solutions = [];
-    const forbiddenSet = new Set(forbiddenCells.map(([r, c]) => `${r},${c}`));
+    let solutionCount = 0;
+    let nodesExplored = 0;
+
+    // Remaining requirement per color per line, plus totals across colors
+    const rowNeed = colors.map(color => rowReqs.map(req => req[color] || 0));
+    const colNeed = colors.map(color => colReqs.map(req => req[color] || 0));
+    let totalNeed = 0;
+    for (let ci = 0; ci < colors.length; ci++) {
+        totalNeed += rowNeed[ci].reduce((a, b) => a + b, 0);
+    }
 
-    // Filter placements that don't overlap forbidden cells
-    const validPlacements = placements.filter(p => {
-        return !p.cells.some(([r, c]) => forbiddenSet.has(`${r},${c}`));
+    // Piece instances; identical instances are adjacent
+    // Instances from a per-color inventory keep their color index (ci), shared ones have ci -1
+    const perColor = isColorInventory(shapeCounts);
+    const instances = [];
+    for (const [shapeId, placements] of Object.entries(placementsByShape)) {
+        const cellsPerPiece = SHAPE_LIBRARY[shapeId].cellCount;
+        const addInstances = (count, ci) => {
+            for (let i = 0; i < count; i++) {
+                instances.push({ shapeId, placements, cellsPerPiece, ci, sameAsPrevious: i > 0 });
+            }
+        };
+        if (perColor) {
+            colors.forEach((color, ci) => addInstances((shapeCounts[color] || {})[shapeId] || 0, ci));
+        } else {
+            addInstances(shapeCounts ? (shapeCounts[shapeId] || 0) : Math.floor(totalNeed / cellsPerPiece), -1);
+        }
+    }
+
+    let remainingCells = instances.reduce((sum, inst) => sum + inst.cellsPerPiece, 0);
+    const piecesFit = (need, cells) => requireAllPieces ? need === cells : need <= cells;
+    if (!piecesFit(totalNeed, remainingCells)) return { solutions, solutionCount, complete: true, nodesExplored };
+
+    // With an inventory, each color's need must also fit in its own remaining pieces
+    const colorNeed = rowNeed.map(needs => needs.reduce((a, b) => a + b, 0));
+    const colorCells = colors.map((color, ci) => instances
+        .filter(inst => inst.ci === ci)
+        .reduce((sum, inst) => sum + inst.cellsPerPiece, 0));
+    const colorsFit = () => !perColor || colorNeed.every((need, ci) => piecesFit(need, colorCells[ci]));
+    if (!colorsFit()) return { solutions, solutionCount, complete: true, nodesExplored };
+
+    // Node storage: 0 is the root, 1..I primary headers, I+1..I+N cell headers
+    const L = [], R = [], U = [], D = [], C = [], S = [], ROW = [];
+    const primaryCount = instances.length;
+    const headerCount = 1 + primaryCount + cellCount;
+    for (let h = 0; h < headerCount; h++) {
+        L.push(h); R.push(h); U.push(h); D.push(h); C.push(h); S.push(0); ROW.push(-1);
+    }
+    for (let h = 1; h <= primaryCount; h++) {
+        L[h] = h - 1; R[h - 1] = h;
+    }
+    L[0] = primaryCount; R[primaryCount] = 0;
+
+    // Pinned cells join the primary columns so that every solution covers them
+    const pins = getCellPins(problem);
+    if (!pins) return { solutions, solutionCount, complete: true, nodesExplored };
+    pins.forEach((ci, k) => {
+        if (ci < 0) return;
+        const h = 1 + primaryCount + k;
+        L[h] = L[0]; R[h] = 0;
+        R[L[0]] = h; L[0] = h;
     });
 
-    // Sort placements by position for consistent ordering
-    validPlacements.sort((a, b) => {
-        const aMin = Math.min(...a.cells.map(([r, c]) => r * 100 + c));
-        const bMin = Math.min(...b.cells.map(([r, c]) => r * 100 + c));
-        return aMin - bMin;
+    // Row metadata
+    const rows = []; // { instance, ci, option, order }
+
+    function addRow(columns, meta) {
+        const rowId = rows.length;
+        rows.push(meta);
+        let first = -1;
+        for (const col of columns) {
+            const node = L.length;
+            C.push(col); ROW.push(rowId); S.push(0);
+            U.push(U[col]); D.push(col);
+            D[U[col]] = node; U[col] = node;
+            S[col]++;
+            if (first < 0) {
+                L.push(node); R.push(node);
+                first = node;
+            } else {
+                L.push(L[first]); R.push(first);
+                R[L[first]] = node; L[first] = node;
+            }
+        }
+    }
+
+    const blockedSet = new Set(blockedCells.map(([r, c]) => r * gridCols + c));
+    instances.forEach((inst, idx) => {
+        const instanceCol = 1 + idx;
+        inst.placements.forEach((placement, pi) => {
+            const indices = placement.cells.map(([r, c]) => r * gridCols + c);
+            if (indices.some(k => blockedSet.has(k))) return;
+            const option = { placement, indices };
+            colors.forEach((color, ci) => {
+                if (inst.ci >= 0 && inst.ci !== ci) return;
+                if (indices.some(k => pins[k] >= 0 && pins[k] !== ci)) return;
+                addRow([instanceCol, ...indices.map(k => 1 + primaryCount + k)],
+                    { instance: idx, ci, option, order: pi * colors.length + ci });
+            });
+        });
+        // Leave the instance unused
+        if (!requireAllPieces) {
+            addRow([instanceCol], { instance: idx, ci: -1, option: null, order: Infinity });
+        }
     });
 
-    const rowCounts = Array(gridRows).fill(0);
-    const colCounts = Array(gridCols).fill(0);
-    const usedCells = new Set();
-    const currentPlacements = [];
+    function cover(c) {
+        R[L[c]] = R[c]; L[R[c]] = L[c];
+        for (let i = D[c]; i !== c; i = D[i]) {
+            for (let j = R[i]; j !== i; j = R[j]) {
+                U[D[j]] = U[j]; D[U[j]] = D[j]; S[C[j]]--;
+            }
+        }
+    }
 
-    function backtrack(startIdx) {
-        // Check if we've satisfied requirements
-        if (countsMatch(rowCounts, colCounts, rowReqs, colReqs, color)) {
-            solutions.push({
-                placements: [...currentPlacements],
-                cells: Array.from(usedCells).map(s => s.split(',').map(Number))
+    function uncover(c) {
+        for (let i = U[c]; i !== c; i = U[i]) {
+            for (let j = L[i]; j !== i; j = L[j]) {
+                S[C[j]]++; U[D[j]] = j; D[U[j]] = j;
+            }
+        }
+        R[L[c]] = c; L[R[c]] = c;
+    }
+
+    // Order of the row chosen for each instance (undefined while undecided)
+    const chosenOrder = new Array(primaryCount);
+    const chosenRows = [];
+    const cellCounts = options.cellCounts ? colors.map(() => new Array(cellCount).fill(0)) : undefined;
+    let stopped = false;
+
+    function symmetryOk(idx, order) {
+        const prev = chosenOrder[idx - 1];
+        if (instances[idx].sameAsPrevious && prev !== undefined) {
+            if (!(prev < order || (prev === Infinity && order === Infinity))) return false;
+        }
+        const next = chosenOrder[idx + 1];
+        if (idx + 1 < primaryCount && instances[idx + 1].sameAsPrevious && next !== undefined) {
+            if (!(order < next || (order === Infinity && next === Infinity))) return false;
+        }
+        return true;
+    }
+
+    function applyRow(meta, delta) {
+        const inst = instances[meta.instance];
+        remainingCells -= delta * inst.cellsPerPiece;
+        if (inst.ci >= 0) colorCells[inst.ci] -= delta * inst.cellsPerPiece;
+        if (meta.ci < 0) return;
+
+        totalNeed -= delta * meta.option.indices.length;
+        colorNeed[meta.ci] -= delta * meta.option.indices.length;
+        for (const k of meta.option.indices) {
+            rowNeed[meta.ci][Math.floor(k / gridCols)] -= delta;
+            colNeed[meta.ci][k % gridCols] -= delta;
+        }
+    }
+
+    function rowOk(meta) {
+        if (!piecesFit(totalNeed, remainingCells) || !colorsFit()) return false;
+        if (meta.ci < 0) return true;
+        for (const k of meta.option.indices) {
+            if (rowNeed[meta.ci][Math.floor(k / gridCols)] < 0 || colNeed[meta.ci][k % gridCols] < 0) return false;
+        }
+        return true;
+    }
+
+    function recordSolution() {
+        solutionCount++;
+        if (solutions.length < maxSolutions) {
+            const colorResults = {};
+            colors.forEach((color, ci) => {
+                const placements = chosenRows.filter(meta => meta.ci === ci).map(meta => meta.option.placement);
+                colorResults[color] = { placements, cells: placements.flatMap(p => p.cells) };
             });
-            // Continue searching for more solutions (don't return)
-            // But limit total solutions to prevent explosion
-            if (solutions.length >= 100) return;
+            const solution = buildSolution(colors, colorResults);
+            solutions.push(solution);
+            if (options.onSolution) options.onSolution(solution);
+        }
+        if (cellCounts) {
+            chosenRows.filter(meta => meta.ci >= 0).forEach(meta => meta.option.indices.forEach(k => cellCounts[meta.ci][k]++));
         }
+        if (solutionCount >= countLimit) stopped = true;
+    }
 
-        // Pruning: if we've exceeded any requirement, stop
-        if (countsExceed(rowCounts, colCounts, rowReqs, colReqs, color)) {
+    function search() {
+        nodesExplored++;
+        if (options.onProgress && nodesExplored % PROGRESS_INTERVAL === 0) {
+            options.onProgress(nodesExplored, solutionCount);
+        }
+        if (nodesExplored >= nodeLimit) {
+            stopped = true;
             return;
         }
 
-        // Try each remaining placement
-        for (let i = startIdx; i < validPlacements.length; i++) {
-            const placement = validPlacements[i];
+        if (R[0] === 0) {
+            // All instances decided and pinned cells covered; every requirement must be used up
+            if (totalNeed === 0 && colNeed.every(needs => needs.every(n => n === 0))) recordSolution();
+            return;
+        }
 
-            // Check if this placement overlaps with used cells
-            const overlaps = placement.cells.some(([r, c]) => usedCells.has(`${r},${c}`));
-            if (overlaps) continue;
+        // Choose the instance with the fewest remaining options
+        let col = R[0];
+        for (let c = R[col]; c !== 0; c = R[c]) {
+            if (S[c] < S[col]) col = c;
+        }
 
-            // Add this placement
-            currentPlacements.push(placement);
-            for (const [r, c] of placement.cells) {
-                usedCells.add(`${r},${c}`);
-                rowCounts[r]++;
-                colCounts[c]++;
-            }
+        cover(col);
+        for (let r = D[col]; r !== col; r = D[r]) {
+            const meta = rows[ROW[r]];
+            if (!symmetryOk(meta.instance, meta.order)) continue;
 
-            // Recurse
-            backtrack(i + 1);
+            applyRow(meta, 1);
+            if (rowOk(meta)) {
+                for (let j = R[r]; j !== r; j = R[j]) cover(C[j]);
+                chosenOrder[meta.instance] = meta.order;
+                chosenRows.push(meta);
 
-            // Remove this placement (backtrack)
-            currentPlacements.pop();
-            for (const [r, c] of placement.cells) {
-                usedCells.delete(`${r},${c}`);
-                rowCounts[r]--;
-                colCounts[c]--;
+                search();
+
+                chosenRows.pop();
+                chosenOrder[meta.instance] = undefined;
+                for (let j = L[r]; j !== r; j = L[j]) uncover(C[j]);
             }
+            applyRow(meta, -1);
 
-            // Early exit if we have enough solutions
-            if (solutions.length >= 100) return;
+            if (stopped) break;
         }
+        uncover(col);
     }
 
-    backtrack(0);
-    return solutions;
+    search();
+    return { solutions, solutionCount, complete: !stopped, nodesExplored, cellCounts };
 }
 
+/**
+ * Search engines selectable through the `engine` option of the run* solvers
+ */
+const SOLVER_ENGINES = {
+    backtrack: searchLayouts,
+    dlx: searchLayoutsDLX
+};
+
 /**
  * Main solver function
+ * All colors are searched jointly; each color may use any enabled shape any number of times
+ * gridState holds 'blocked' cells and 'pinned-<color>' cells that a piece of that color must cover
+ * options: { engine: 'backtrack' | 'dlx', allowReflection, maxSolutions, countLimit, cellCounts, onSolution, onProgress }
+ * allowReflection lets chiral pieces be placed in either handedness
+ * cellCounts adds result.cellCounts: { color: [[solutions covering the cell in that color]] } over every
+ * counted solution, not only the maxSolutions returned
  */
-function runSolver(gridRows, gridCols, gridState, rowReqs, colReqs, enabledShapes) {
-    // Get blocked cells
-    const blockedCells = [];
-    for (let r = 0; r < gridRows; r++) {
-        for (let c = 0; c < gridCols; c++) {
-            if (gridState[r][c] === 'blocked') {
-                blockedCells.push([r, c]);
-            }
-        }
-    }
+function runSolver(gridRows, gridCols, gridState, rowReqs, colReqs, enabledShapes, colors = ['green', 'blue'], options = {}) {
+    const blockedCells = getBlockedCells(gridRows, gridCols, gridState);
 
-    // Check if any requirements exist
-    const hasGreenReq = rowReqs.some(r => r.green > 0) || colReqs.some(c => c.green > 0);
-    const hasBlueReq = rowReqs.some(r => r.blue > 0) || colReqs.some(c => c.blue > 0);
+    // Only colors with requirements need to be solved
+    const activeColors = colors.filter(color => hasColorRequirement(rowReqs, colReqs, color));
 
-    if (!hasGreenReq && !hasBlueReq) {
+    if (activeColors.length === 0) {
         return { success: false, message: 'No requirements specified' };
     }
 
+    const blockedSet = new Set(blockedCells.map(([r, c]) => `${r},${c}`));
+
     // Generate all valid shape placements
-    const allPlacements = generateAllPlacements(gridRows, gridCols, blockedCells, enabledShapes);
+    // Shapes are unlimited, so a placement covering the same cells as another shape's
+    // (e.g. L-4 placed mirrored while L-4-mirror is also enabled) would only repeat the same layout
+    const placementsByShape = {};
+    const seenPlacements = new Set();
+    let placementCount = 0;
+    for (const shapeId of enabledShapes) {
+        placementsByShape[shapeId] = generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, options.allowReflection).filter(placement => {
+            const key = placement.cells.map(([r, c]) => `${r},${c}`).sort().join(';');
+            if (seenPlacements.has(key)) return false;
+            seenPlacements.add(key);
+            return true;
+        });
+        placementCount += placementsByShape[shapeId].length;
+    }
 
-    if (allPlacements.length === 0) {
+    if (placementCount === 0) {
         return { success: false, message: 'No valid shape placements possible' };
     }
 
-    const solutions = [];
+    const search = SOLVER_ENGINES[options.engine || 'backtrack'];
+    const { solutions, solutionCount, complete, nodesExplored, cellCounts } = search({
+        gridRows, gridCols, blockedCells, rowReqs, colReqs,
+        pinnedCells: getPinnedCells(gridRows, gridCols, gridState),
+        colors: activeColors,
+        placementsByShape,
+        shapeCounts: null
+    }, withCompleteSolutions(options, colors));
+
+    if (solutionCount === 0) {
+        return { success: false, message: 'No valid solution found', solutionCount, complete, nodesExplored };
+    }
 
-    // Solve for green first (or skip if no green requirements)
-    let greenSolutions = [];
-    if (hasGreenReq) {
-        greenSolutions = solveForColor('green', allPlacements, gridRows, gridCols, rowReqs, colReqs, blockedCells);
-        if (greenSolutions.length === 0) {
-            return { success: false, message: 'No valid green configuration found' };
+    return {
+        success: true,
+        solutions: solutions.map(solution => completeSolution(solution, colors)),
+        solutionCount,
+        complete,
+        nodesExplored,
+        ...(options.cellCounts && { cellCounts: getCellCountGrids(cellCounts, activeColors, colors, gridRows, gridCols) })
+    };
+}
+
+/**
+ * Add empty entries for colors that were not searched (no requirements)
+ */
+function completeSolution(solution, colors) {
+    for (const color of colors) {
+        if (!solution[color]) {
+            solution[color] = [];
+            solution[`${color}Placements`] = [];
         }
-    } else {
-        // No green requirements - one "empty" solution
-        greenSolutions = [{ placements: [], cells: [] }];
     }
+    return solution;
+}
 
-    // For each green solution, solve for blue
-    for (const greenSol of greenSolutions) {
-        const greenCellsSet = new Set(greenSol.cells.map(([r, c]) => `${r},${c}`));
-        const forbiddenForBlue = [...blockedCells, ...greenSol.cells];
+/**
+ * Wrap an onSolution callback so streamed solutions have entries for every color
+ */
+function withCompleteSolutions(options, colors) {
+    if (!options.onSolution) return options;
+    return { ...options, onSolution: solution => options.onSolution(completeSolution(solution, colors)) };
+}
 
-        if (hasBlueReq) {
-            const blueSolutions = solveForColor('blue', allPlacements, gridRows, gridCols, rowReqs, colReqs, forbiddenForBlue);
+/**
+ * An engine's cellCounts as { color: [[layouts covering the cell in that color]] } for every color
+ * Colors that were not searched are zero everywhere.
+ */
+function getCellCountGrids(cellCounts, searchedColors, colors, gridRows, gridCols) {
+    const grids = {};
+    for (const color of colors) {
+        const counts = cellCounts && cellCounts[searchedColors.indexOf(color)];
+        grids[color] = Array.from({ length: gridRows }, (_, r) =>
+            Array.from({ length: gridCols }, (_, c) => counts ? counts[r * gridCols + c] : 0)
+        );
+    }
+    return grids;
+}
 
-            for (const blueSol of blueSolutions) {
-                solutions.push({
-                    green: greenSol.cells,
-                    blue: blueSol.cells,
-                    greenPlacements: greenSol.placements,
-                    bluePlacements: blueSol.placements
-                });
+/**
+ * Pieces of a solution as [{ shapeId, color, rotationIndex, cells }]
+ */
+function getSolutionPieces(solution, colors) {
+    return colors.flatMap(color => (solution[`${color}Placements`] || []).map(placement => ({
+        shapeId: placement.shapeId,
+        color,
+        rotationIndex: placement.rotationIndex,
+        cells: placement.cells
+    })));
+}
 
-                // Limit total solutions
-                if (solutions.length >= 50) break;
+/**
+ * Check a filled-in board: every line meets its requirement exactly for each color,
+ * pieces stay on the board off blocked and locked cells without overlapping, and no pieces are left over
+ * board: { gridRows, gridCols, gridState, rowReqs, colReqs, colors, pieces: [{ shapeId, color, cells }], remaining }
+ * gridState holds 'blocked' and 'locked-<color>' cells; locked cells count toward requirements.
+ * 'pinned-<color>' cells must be covered by a piece of that color.
+ * remaining: pieces still to place (a count, or a list); leave it out when that does not matter
+ * Returns { valid, issues } with issues shaped like diagnoseBoard's: { message, lines, cells }
+ */
+function validateBoard(board) {
+    const { gridRows, gridCols, gridState, rowReqs, colReqs, colors, pieces } = board;
+    const issues = [];
+    const position = (r, c) => `row ${r + 1}, column ${c + 1}`;
+
+    // Pieces must sit on open cells of the board, one piece per cell
+    const cellsByColor = Object.fromEntries(colors.map(color => [color, []]));
+    const owners = new Map();
+    for (const piece of pieces) {
+        const name = `${piece.color} ${SHAPE_LIBRARY[piece.shapeId] ? SHAPE_LIBRARY[piece.shapeId].name : piece.shapeId}`;
+        for (const [r, c] of piece.cells) {
+            if (r < 0 || r >= gridRows || c < 0 || c >= gridCols) {
+                issues.push({ message: `The ${name} goes off the board`, lines: [], cells: [] });
+                break;
             }
-        } else {
-            // No blue requirements
-            solutions.push({
-                green: greenSol.cells,
-                blue: [],
-                greenPlacements: greenSol.placements,
-                bluePlacements: []
-            });
+            const state = gridState[r][c];
+            if (state === 'blocked' || state.startsWith('locked-')) {
+                issues.push({
+                    message: `The ${name} covers a ${state === 'blocked' ? 'blocked' : 'locked'} cell at ${position(r, c)}`,
+                    lines: [],
+                    cells: [[r, c]]
+                });
+            }
+            const key = `${r},${c}`;
+            if (owners.has(key)) {
+                issues.push({ message: `Pieces overlap at ${position(r, c)}`, lines: [], cells: [[r, c]] });
+            }
+            owners.set(key, piece);
+            if (cellsByColor[piece.color]) cellsByColor[piece.color].push([r, c]);
         }
+    }
 
-        if (solutions.length >= 50) break;
+    // Locked cells count toward their color's lines
+    for (let r = 0; r < gridRows; r++) {
+        for (let c = 0; c < gridCols; c++) {
+            const color = gridState[r][c].startsWith('locked-') ? gridState[r][c].slice(7) : null;
+            if (color && cellsByColor[color]) cellsByColor[color].push([r, c]);
+        }
     }
 
-    if (solutions.length === 0) {
-        return { success: false, message: 'No valid solution found' };
+    // Pinned cells must end up under a piece of their color
+    for (const { cell: [r, c], color } of getPinnedCells(gridRows, gridCols, gridState)) {
+        const owner = owners.get(`${r},${c}`);
+        if (!owner || owner.color !== color) {
+            issues.push({ message: `The cell pinned ${color} at ${position(r, c)} is not covered by a ${color} piece`, lines: [], cells: [[r, c]] });
+        }
     }
 
-    return { success: true, solutions };
+    for (const color of colors) {
+        const cells = cellsByColor[color].filter(([r, c]) => r >= 0 && r < gridRows && c >= 0 && c < gridCols);
+        const { rowCounts, colCounts } = calculateCounts(cells, gridRows, gridCols);
+        for (const [type, counts, reqs] of [['row', rowCounts, rowReqs], ['col', colCounts, colReqs]]) {
+            counts.forEach((count, index) => {
+                const required = reqs[index][color] || 0;
+                if (count === required) return;
+                issues.push({
+                    message: `${type === 'row' ? 'Row' : 'Column'} ${index + 1}: ${count} of ${required} ${color} cells`,
+                    lines: [{ type, index, color }],
+                    cells: []
+                });
+            });
+        }
+    }
+
+    const remaining = Array.isArray(board.remaining) ? board.remaining.length : (board.remaining || 0);
+    if (remaining > 0) {
+        issues.push({ message: `${remaining} piece${remaining === 1 ? '' : 's'} still to place`, lines: [], cells: [] });
+    }
+
+    return { valid: issues.length === 0, issues };
 }
 
 /**
- * Validate a solution (for debugging)
+ * Check a board for problems that rule out any solution before searching
+ * gridState may hold 'locked-<color>' cells: they count toward requirements and block pieces.
+ * 'pinned-<color>' cells are open, but only to pieces of their color.
+ * shapeCounts maps shape ids to available instances (Infinity for unlimited), or is a
+ * per-color inventory ({ color: { shapeId: count } }).
+ * Returns a list of issues: { message, lines: [{ type: 'row' | 'col', index, color }], cells: [[r, c]] }
+ * A line without a color refers to all of its colors.
+ * options: { requireAllPieces } also reports pieces that cover more cells than required
  */
-function validateSolution(solution, gridRows, gridCols, rowReqs, colReqs) {
-    const greenCounts = calculateCounts(solution.green, gridRows, gridCols);
-    const blueCounts = calculateCounts(solution.blue, gridRows, gridCols);
+function diagnoseBoard(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors, options = {}) {
+    const issues = [];
+    const lineName = (type, index) => `${type === 'row' ? 'Row' : 'Column'} ${index + 1}`;
+    const lineCells = (type, index) => type === 'row'
+        ? Array.from({ length: gridCols }, (_, c) => [index, c])
+        : Array.from({ length: gridRows }, (_, r) => [r, index]);
+    const lines = [
+        ...rowReqs.map((req, index) => ({ type: 'row', index, req })),
+        ...colReqs.map((req, index) => ({ type: 'col', index, req }))
+    ];
+
+    // Locked cells beyond a line's requirement, and what each line still needs after them
+    const remainingNeed = new Map();
+    const colorRequired = Object.fromEntries(colors.map(color => [color, 0]));
+    for (const line of lines) {
+        const cells = lineCells(line.type, line.index);
+        let need = 0;
+        for (const color of colors) {
+            const locked = cells.filter(([r, c]) => gridState[r][c] === `locked-${color}`);
+            const required = line.req[color] || 0;
+            if (locked.length > required) {
+                issues.push({
+                    message: `${lineName(line.type, line.index)}: ${locked.length} locked ${color} cells but only ${required} required`,
+                    lines: [{ type: line.type, index: line.index, color }],
+                    cells: locked
+                });
+            }
+            need += Math.max(0, required - locked.length);
+            if (line.type === 'row') colorRequired[color] += Math.max(0, required - locked.length);
+        }
+        remainingNeed.set(line, need);
+    }
 
-    const errors = [];
+    // Each color must need as many cells across rows as across columns
+    for (const color of colors) {
+        const rowTotal = rowReqs.reduce((sum, req) => sum + (req[color] || 0), 0);
+        const colTotal = colReqs.reduce((sum, req) => sum + (req[color] || 0), 0);
+        if (rowTotal !== colTotal) {
+            issues.push({
+                message: `Rows need ${rowTotal} ${color} cells but columns need ${colTotal}`,
+                lines: lines.filter(line => (line.req[color] || 0) > 0).map(({ type, index }) => ({ type, index, color })),
+                cells: []
+            });
+        }
+    }
 
-    // Check green row requirements
-    for (let r = 0; r < gridRows; r++) {
-        if (greenCounts.rowCounts[r] !== rowReqs[r].green) {
-            errors.push(`Row ${r} green: expected ${rowReqs[r].green}, got ${greenCounts.rowCounts[r]}`);
+    // Lines that need more cells than they have free (pinned cells are free for their color's pieces)
+    const isFree = ([r, c]) => gridState[r][c] === 'empty' || gridState[r][c].startsWith('pinned-');
+    for (const line of lines) {
+        const cells = lineCells(line.type, line.index);
+        const free = cells.filter(isFree).length;
+        const need = remainingNeed.get(line);
+        if (need > free) {
+            issues.push({
+                message: `${lineName(line.type, line.index)}: needs ${need} more cells but only ${free} are free`,
+                lines: [{ type: line.type, index: line.index }],
+                cells: cells.filter(cell => !isFree(cell))
+            });
         }
     }
 
-    // Check green column requirements
-    for (let c = 0; c < gridCols; c++) {
-        if (greenCounts.colCounts[c] !== colReqs[c].green) {
-            errors.push(`Col ${c} green: expected ${colReqs[c].green}, got ${greenCounts.colCounts[c]}`);
+    // Pinned cells beyond what a line still needs of their color
+    for (const line of lines) {
+        for (const color of colors) {
+            const cells = lineCells(line.type, line.index);
+            const pinned = cells.filter(([r, c]) => gridState[r][c] === `pinned-${color}`);
+            const locked = cells.filter(([r, c]) => gridState[r][c] === `locked-${color}`).length;
+            const need = Math.max(0, (line.req[color] || 0) - locked);
+            if (pinned.length > need) {
+                issues.push({
+                    message: `${lineName(line.type, line.index)}: ${pinned.length} cell${pinned.length === 1 ? '' : 's'} pinned ${color} but only ${need} more ${color} required`,
+                    lines: [{ type: line.type, index: line.index, color }],
+                    cells: pinned
+                });
+            }
+        }
+    }
+    for (const { cell: [r, c], color } of getPinnedCells(gridRows, gridCols, gridState)) {
+        if (!colors.includes(color)) {
+            issues.push({ message: `The cell at row ${r + 1}, column ${c + 1} is pinned ${color}, which is not being solved`, lines: [], cells: [[r, c]] });
         }
     }
 
-    // Check blue row requirements
-    for (let r = 0; r < gridRows; r++) {
-        if (blueCounts.rowCounts[r] !== rowReqs[r].blue) {
-            errors.push(`Row ${r} blue: expected ${rowReqs[r].blue}, got ${blueCounts.rowCounts[r]}`);
+    // The pieces must be able to cover exactly the cells still required
+    // (each color on its own with a per-color inventory)
+    const checkPieces = (counts, required, who, lines) => {
+        const sizes = [];
+        let available = 0;
+        for (const [shapeId, count] of Object.entries(counts)) {
+            const size = SHAPE_LIBRARY[shapeId].cellCount;
+            available += count * size;
+            for (let i = 0; i < Math.min(count, Math.floor(required / size)); i++) sizes.push(size);
+        }
+        const label = who ? `${who[0].toUpperCase()}${who.slice(1)} pieces` : 'Selected pieces';
+        const requiredCells = `${required}${who ? ` ${who} cells` : ''}`;
+        if (available < required) {
+            issues.push({
+                message: `${label} cover at most ${available} cells but ${requiredCells} are required`,
+                lines,
+                cells: []
+            });
+            return;
         }
+        if (options.requireAllPieces) {
+            if (available > required) {
+                issues.push({
+                    message: `${label} cover ${available} cells but only ${requiredCells} are required, and every piece must be placed`,
+                    lines,
+                    cells: []
+                });
+            }
+            return;
+        }
+        const reachable = new Uint8Array(required + 1);
+        reachable[0] = 1;
+        for (const size of sizes) {
+            for (let total = required; total >= size; total--) {
+                if (reachable[total - size]) reachable[total] = 1;
+            }
+        }
+        if (!reachable[required]) {
+            issues.push({
+                message: `No combination of the ${who || 'selected'} pieces covers exactly ${required} cells`,
+                lines,
+                cells: []
+            });
+        }
+    };
+
+    if (isColorInventory(shapeCounts)) {
+        for (const color of colors) {
+            const colorLines = lines.filter(line => (line.req[color] || 0) > 0).map(({ type, index }) => ({ type, index, color }));
+            checkPieces(shapeCounts[color] || {}, colorRequired[color], color, colorLines);
+        }
+    } else {
+        const required = colors.reduce((sum, color) => sum + colorRequired[color], 0);
+        checkPieces(shapeCounts, required, null, []);
     }
 
-    // Check blue column requirements
-    for (let c = 0; c < gridCols; c++) {
-        if (blueCounts.colCounts[c] !== colReqs[c].blue) {
-            errors.push(`Col ${c} blue: expected ${colReqs[c].blue}, got ${blueCounts.colCounts[c]}`);
+    return issues;
+}
+
+/**
+ * Find a small set of row/column requirements that cannot all be met
+ * Takes the arguments of runSolverWithShapeCounts for a board that has no solution.
+ * Lines are left unconstrained one at a time while the rest stays unsolvable, so no line
+ * in the result can be dropped on its own. Each check stops after nodeLimit search nodes
+ * and an unfinished check keeps its line, so the set is not always the smallest possible.
+ * options: { allowReflection, requireAllPieces, nodeLimit }
+ * Returns { rows: [r], cols: [c] }, or null if the board is solvable after all.
+ */
+function findConflictingLines(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors = ['green', 'blue'], options = {}) {
+    const nodeLimit = options.nodeLimit || 200000;
+    const blockedCells = getBlockedCells(gridRows, gridCols, gridState);
+    const blockedSet = new Set(blockedCells.map(([r, c]) => `${r},${c}`));
+    const activeColors = colors.filter(color => hasColorRequirement(rowReqs, colReqs, color));
+    const pinnedCells = getPinnedCells(gridRows, gridCols, gridState);
+    shapeCounts = mergeChiralCounts(shapeCounts, options.allowReflection);
+
+    const placementsByShape = {};
+    for (const shapeId of getInventoryShapeIds(shapeCounts)) {
+        placementsByShape[shapeId] = generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, options.allowReflection);
+    }
+
+    const solvable = (rowLines, colLines) => {
+        const { solutionCount, complete } = searchLayouts({
+            gridRows, gridCols, blockedCells, pinnedCells,
+            rowReqs: rowLines,
+            colReqs: colLines,
+            colors: activeColors,
+            placementsByShape,
+            shapeCounts,
+            requireAllPieces: options.requireAllPieces
+        }, { maxSolutions: 1, nodeLimit });
+        return solutionCount > 0 || !complete;
+    };
+
+    const rowLines = [...rowReqs];
+    const colLines = [...colReqs];
+    if (solvable(rowLines, colLines)) return null;
+
+    for (const lineReqs of [rowLines, colLines]) {
+        for (let i = 0; i < lineReqs.length; i++) {
+            const req = lineReqs[i];
+            lineReqs[i] = null;
+            if (solvable(rowLines, colLines)) lineReqs[i] = req;
         }
     }
 
-    // Check for overlaps
-    const greenSet = new Set(solution.green.map(([r, c]) => `${r},${c}`));
-    const blueSet = new Set(solution.blue.map(([r, c]) => `${r},${c}`));
+    const kept = lineReqs => lineReqs.flatMap((req, i) => req ? [i] : []);
+    return { rows: kept(rowLines), cols: kept(colLines) };
+}
 
-    for (const cell of greenSet) {
-        if (blueSet.has(cell)) {
-            errors.push(`Overlap at ${cell}`);
+/**
+ * Hint for a partly played puzzle, worked out from the player's board rather than a stored answer
+ * gridState holds 'blocked' and 'locked-<color>' cells (anything else counts as empty);
+ * rowReqs/colReqs include locked cells. placed: the player's pieces [{ shapeId, color, cells }];
+ * remaining: pieces still to place as a per-color inventory. Every piece has to be used.
+ * options: { nodeLimit } per completion check
+ * Returns one of
+ *   { type: 'place', piece: { shapeId, color, rotationIndex, cells }, line } - the board can be
+ *     completed and piece is part of such a completion; line is the row it starts in
+ *   { type: 'remove', piece, line } - the board cannot be completed and piece is a placed piece
+ *     that has to go; line is an overfilled line it is in, or null
+ *   null - the board cannot be completed but no single piece explains it, or the search gave up
+ * line: { type: 'row' | 'col', index, color, need } where need is the cells still missing
+ * (negative when the line is over)
+ */
+function findPuzzleHint(gridRows, gridCols, gridState, rowReqs, colReqs, placed, remaining, colors, options = {}) {
+    const nodeLimit = options.nodeLimit || 500000;
+
+    // Cells each line still needs per color once locked cells and the given pieces are counted
+    const lineNeeds = pieces => {
+        const rowNeed = rowReqs.map(req => Object.fromEntries(colors.map(color => [color, req[color] || 0])));
+        const colNeed = colReqs.map(req => Object.fromEntries(colors.map(color => [color, req[color] || 0])));
+        for (let r = 0; r < gridRows; r++) {
+            for (let c = 0; c < gridCols; c++) {
+                const color = gridState[r][c].startsWith('locked-') ? gridState[r][c].slice(7) : null;
+                if (color && rowNeed[r][color] !== undefined) {
+                    rowNeed[r][color]--;
+                    colNeed[c][color]--;
+                }
+            }
         }
+        for (const piece of pieces) {
+            for (const [r, c] of piece.cells) {
+                rowNeed[r][piece.color]--;
+                colNeed[c][piece.color]--;
+            }
+        }
+        return { rowNeed, colNeed };
+    };
+
+    // A completion of the board with the given pieces fixed, or null if there is none (or the search gave up)
+    const complete = (pieces, inventory) => {
+        const { rowNeed, colNeed } = lineNeeds(pieces);
+        if ([...rowNeed, ...colNeed].some(need => colors.some(color => need[color] < 0))) return null;
+
+        // The remaining pieces of each color must fill exactly what that color still needs
+        for (const color of colors) {
+            const need = rowNeed.reduce((sum, req) => sum + req[color], 0);
+            const cells = Object.entries(inventory[color] || {})
+                .reduce((sum, [shapeId, count]) => sum + count * SHAPE_LIBRARY[shapeId].cellCount, 0);
+            if (need !== cells) return null;
+        }
+        if (colors.every(color => rowNeed.every(req => req[color] === 0))) {
+            return buildSolution(colors, {});
+        }
+
+        const state = gridState.map(row => row.map(cell => cell === 'blocked' || cell.startsWith('locked-') ? 'blocked' : 'empty'));
+        for (const piece of pieces) {
+            for (const [r, c] of piece.cells) state[r][c] = 'blocked';
+        }
+        const result = runSolverWithShapeCounts(gridRows, gridCols, state, rowNeed, colNeed, inventory, colors,
+            { requireAllPieces: true, maxSolutions: 1, nodeLimit });
+        return result.success ? result.solutions[0] : null;
+    };
+
+    const solution = complete(placed, remaining);
+    if (solution) {
+        const pieces = getSolutionPieces(solution, colors);
+        if (pieces.length === 0) return null;
+
+        // Suggest pieces from the top of the board down
+        const first = piece => Math.min(...piece.cells.map(([r, c]) => r * gridCols + c));
+        const piece = pieces.reduce((best, candidate) => first(candidate) < first(best) ? candidate : best);
+        const row = Math.floor(first(piece) / gridCols);
+        const { rowNeed } = lineNeeds(placed);
+        return { type: 'place', piece, line: { type: 'row', index: row, color: piece.color, need: rowNeed[row][piece.color] } };
     }
 
-    return { valid: errors.length === 0, errors };
+    // The board cannot be completed: look for a placed piece whose removal fixes that,
+    // preferring one that sits in an overfilled line
+    const { rowNeed, colNeed } = lineNeeds(placed);
+    const overLine = piece => {
+        for (const [r, c] of piece.cells) {
+            if (rowNeed[r][piece.color] < 0) return { type: 'row', index: r, color: piece.color, need: rowNeed[r][piece.color] };
+            if (colNeed[c][piece.color] < 0) return { type: 'col', index: c, color: piece.color, need: colNeed[c][piece.color] };
+        }
+        return null;
+    };
+    const candidates = [...placed].sort((a, b) => (overLine(b) ? 1 : 0) - (overLine(a) ? 1 : 0));
+
+    for (const piece of candidates) {
+        const inventory = JSON.parse(JSON.stringify(remaining));
+        inventory[piece.color] = inventory[piece.color] || {};
+        inventory[piece.color][piece.shapeId] = (inventory[piece.color][piece.shapeId] || 0) + 1;
+        if (complete(placed.filter(other => other !== piece), inventory)) {
+            return { type: 'remove', piece, line: overLine(piece) };
+        }
+    }
+    return null;
 }
 
 /**
  * Solver for "Fit All Pieces" mode
  * Places exactly the specified count of each shape without caring about row/column requirements
+ * options: { allowReflection, maxSolutions, countLimit, onSolution(solution), onProgress(nodesExplored, solutionCount) }
  */
-function runFitAllPiecesSolver(gridRows, gridCols, blockedCells, shapeCounts) {
+function runFitAllPiecesSolver(gridRows, gridCols, blockedCells, shapeCounts, options = {}) {
     const blockedSet = new Set(blockedCells.map(([r, c]) => `${r},${c}`));
+    const { maxSolutions, countLimit } = getSolutionLimits(options);
     const solutions = [];
+    let solutionCount = 0;
+    let nodesExplored = 0;
+    shapeCounts = mergeChiralCounts(shapeCounts, options.allowReflection);
 
     // Build a list of shape instances to place (respecting counts)
     const shapeInstances = [];
@@ -326,7 +1375,7 @@ function runFitAllPiecesSolver(gridRows, gridCols, blockedCells, shapeCounts) {
     // Pre-generate all placements for each shape type
     const placementsByShape = {};
     for (const shapeId of Object.keys(shapeCounts)) {
-        placementsByShape[shapeId] = generatePlacementsForShape(shapeId, gridRows, gridCols, blockedSet);
+        placementsByShape[shapeId] = generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, options.allowReflection);
     }
 
     // Check if any shape has no valid placements
@@ -338,35 +1387,53 @@ function runFitAllPiecesSolver(gridRows, gridCols, blockedCells, shapeCounts) {
 
     const usedCells = new Set();
     const currentPlacements = [];
+    // Placement index chosen for each instance; identical instances use increasing indices
+    // so that swapping them never counts the same layout twice
+    const chosenIndex = [];
 
     function backtrack(instanceIdx) {
+        nodesExplored++;
+        if (options.onProgress && nodesExplored % PROGRESS_INTERVAL === 0) {
+            options.onProgress(nodesExplored, solutionCount);
+        }
+
         if (instanceIdx >= shapeInstances.length) {
             // All shapes placed successfully
-            const allCells = [];
-            currentPlacements.forEach(p => {
-                p.cells.forEach(cell => allCells.push(cell));
-            });
+            solutionCount++;
+            if (solutions.length < maxSolutions) {
+                const allCells = [];
+                currentPlacements.forEach(p => {
+                    p.cells.forEach(cell => allCells.push(cell));
+                });
 
-            solutions.push({
-                green: allCells,
-                blue: [],
-                greenPlacements: [...currentPlacements],
-                bluePlacements: []
-            });
+                const solution = {
+                    green: allCells,
+                    blue: [],
+                    greenPlacements: [...currentPlacements],
+                    bluePlacements: []
+                };
+                solutions.push(solution);
+                if (options.onSolution) options.onSolution(solution);
+            }
 
             // Limit solutions
-            return solutions.length >= 50;
+            return solutionCount >= countLimit;
         }
 
         const shapeId = shapeInstances[instanceIdx];
         const placements = placementsByShape[shapeId];
+        const firstIndex = instanceIdx > 0 && shapeInstances[instanceIdx - 1] === shapeId
+            ? chosenIndex[instanceIdx - 1] + 1
+            : 0;
 
-        for (const placement of placements) {
+        for (let i = firstIndex; i < placements.length; i++) {
+            const placement = placements[i];
             // Check if this placement overlaps with used cells
             const overlaps = placement.cells.some(([r, c]) => usedCells.has(`${r},${c}`));
             if (overlaps) continue;
 
             // Place the shape
+            chosenIndex[instanceIdx] = i;
             currentPlacements.push(placement);
             for (const [r, c] of placement.cells) {
                 usedCells.add(`${r},${c}`);
@@ -386,239 +1453,142 @@ function runFitAllPiecesSolver(gridRows, gridCols, blockedCells, shapeCounts) {
         return false;
     }
 
-    backtrack(0);
+    const complete = !backtrack(0);
 
-    if (solutions.length === 0) {
-        return { success: false, message: 'Could not fit all pieces on the grid' };
+    if (solutionCount === 0) {
+        return { success: false, message: 'Could not fit all pieces on the grid', solutionCount, complete, nodesExplored };
     }
 
-    return { success: true, solutions };
+    return { success: true, solutions, solutionCount, complete, nodesExplored };
 }
 
 /**
  * Solver with exact shape counts and row/column requirements
+ * All colors are searched jointly and share the selected shape instances, unless shapeCounts
+ * is a per-color inventory ({ color: { shapeId: count } }) that gives each color its own pieces
+ * gridState holds cells as for runSolver
+ * options: { engine: 'backtrack' | 'dlx', allowReflection, requireAllPieces, maxSolutions, countLimit, cellCounts, onSolution, onProgress }
+ * requireAllPieces only accepts layouts that place every selected instance
+ * cellCounts adds result.cellCounts as in runSolver
  */
-function runSolverWithShapeCounts(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts) {
-    // Get blocked cells
-    const blockedCells = [];
-    for (let r = 0; r < gridRows; r++) {
-        for (let c = 0; c < gridCols; c++) {
-            if (gridState[r][c] === 'blocked') {
-                blockedCells.push([r, c]);
-            }
-        }
-    }
+function runSolverWithShapeCounts(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors = ['green', 'blue'], options = {}) {
+    const blockedCells = getBlockedCells(gridRows, gridCols, gridState);
 
-    // Check if any requirements exist
-    const hasGreenReq = rowReqs.some(r => r.green > 0) || colReqs.some(c => c.green > 0);
-    const hasBlueReq = rowReqs.some(r => r.blue > 0) || colReqs.some(c => c.blue > 0);
+    // Only colors with requirements need to be solved
+    const activeColors = colors.filter(color => hasColorRequirement(rowReqs, colReqs, color));
 
-    if (!hasGreenReq && !hasBlueReq) {
+    if (activeColors.length === 0) {
         return { success: false, message: 'No requirements specified' };
     }
 
     const blockedSet = new Set(blockedCells.map(([r, c]) => `${r},${c}`));
-
-    // Build list of shape instances
-    const shapeInstances = [];
-    for (const [shapeId, count] of Object.entries(shapeCounts)) {
-        for (let i = 0; i < count; i++) {
-            shapeInstances.push(shapeId);
-        }
-    }
+    shapeCounts = mergeChiralCounts(shapeCounts, options.allowReflection);
 
     // Pre-generate placements for each shape
     const placementsByShape = {};
-    for (const shapeId of Object.keys(shapeCounts)) {
-        placementsByShape[shapeId] = generatePlacementsForShape(shapeId, gridRows, gridCols, blockedSet);
-    }
-
-    const solutions = [];
-
-    // Solve for green first
-    let greenSolutions = [];
-    if (hasGreenReq) {
-        greenSolutions = solveForColorWithCounts('green', shapeInstances, placementsByShape, gridRows, gridCols, rowReqs, colReqs, blockedCells);
-        if (greenSolutions.length === 0) {
-            return { success: false, message: 'No valid green configuration found with selected shapes' };
-        }
-    } else {
-        greenSolutions = [{ placements: [], cells: [], usedShapeIndices: new Set() }];
-    }
-
-    // For each green solution, solve for blue with remaining shapes
-    for (const greenSol of greenSolutions) {
-        const forbiddenForBlue = [...blockedCells, ...greenSol.cells];
-        const remainingShapeInstances = shapeInstances.filter((_, idx) => !greenSol.usedShapeIndices.has(idx));
-
-        if (hasBlueReq) {
-            if (remainingShapeInstances.length === 0) {
-                // No shapes left for blue but blue requirements exist
-                continue;
-            }
-
-            const blueSolutions = solveForColorWithCountsSimple('blue', remainingShapeInstances, placementsByShape, gridRows, gridCols, rowReqs, colReqs, forbiddenForBlue);
-
-            for (const blueSol of blueSolutions) {
-                solutions.push({
-                    green: greenSol.cells,
-                    blue: blueSol.cells,
-                    greenPlacements: greenSol.placements,
-                    bluePlacements: blueSol.placements
-                });
-
-                if (solutions.length >= 50) break;
-            }
-        } else {
-            solutions.push({
-                green: greenSol.cells,
-                blue: [],
-                greenPlacements: greenSol.placements,
-                bluePlacements: []
-            });
-        }
-
-        if (solutions.length >= 50) break;
+    for (const shapeId of getInventoryShapeIds(shapeCounts)) {
+        placementsByShape[shapeId] = generatePlacementsForPiece(shapeId, gridRows, gridCols, blockedSet, options.allowReflection);
     }
 
-    if (solutions.length === 0) {
-        return { success: false, message: 'No valid solution found with selected shape counts' };
+    const search = SOLVER_ENGINES[options.engine || 'backtrack'];
+    const { solutions, solutionCount, complete, nodesExplored, cellCounts } = search({
+        gridRows, gridCols, blockedCells, rowReqs, colReqs,
+        pinnedCells: getPinnedCells(gridRows, gridCols, gridState),
+        colors: activeColors,
+        placementsByShape,
+        shapeCounts,
+        requireAllPieces: options.requireAllPieces
+    }, withCompleteSolutions(options, colors));
+
+    if (solutionCount === 0) {
+        return { success: false, message: 'No valid solution found with selected shape counts', solutionCount, complete, nodesExplored };
     }
 
-    return { success: true, solutions };
+    return {
+        success: true,
+        solutions: solutions.map(solution => completeSolution(solution, colors)),
+        solutionCount,
+        complete,
+        nodesExplored,
+        ...(options.cellCounts && { cellCounts: getCellCountGrids(cellCounts, activeColors, colors, gridRows, gridCols) })
+    };
 }
 
-/**
- * Solve for a color using exact shape instances (tracks which indices are used)
- */
-function solveForColorWithCounts(color, shapeInstances, placementsByShape, gridRows, gridCols, rowReqs, colReqs, forbiddenCells) {
-    const solutions = [];
-    const forbiddenSet = new Set(forbiddenCells.map(([r, c]) => `${r},${c}`));
-
-    const rowCounts = Array(gridRows).fill(0);
-    const colCounts = Array(gridCols).fill(0);
-    const usedCells = new Set();
-    const currentPlacements = [];
-    const usedShapeIndices = new Set();
-
-    function backtrack(instanceIdx) {
-        // Check if we've satisfied requirements
-        if (countsMatch(rowCounts, colCounts, rowReqs, colReqs, color)) {
-            solutions.push({
-                placements: [...currentPlacements],
-                cells: Array.from(usedCells).map(s => s.split(',').map(Number)),
-                usedShapeIndices: new Set(usedShapeIndices)
-            });
-            if (solutions.length >= 100) return true;
-        }
-
-        // Pruning: if we've exceeded any requirement, stop
-        if (countsExceed(rowCounts, colCounts, rowReqs, colReqs, color)) {
-            return false;
-        }
-
-        // Try placing more shapes
-        for (let i = instanceIdx; i < shapeInstances.length; i++) {
-            const shapeId = shapeInstances[i];
-            const placements = placementsByShape[shapeId];
-
-            for (const placement of placements) {
-                // Check if overlaps with used or forbidden cells
-                const overlaps = placement.cells.some(([r, c]) =>
-                    usedCells.has(`${r},${c}`) || forbiddenSet.has(`${r},${c}`)
-                );
-                if (overlaps) continue;
-
-                // Place the shape
-                currentPlacements.push(placement);
-                usedShapeIndices.add(i);
-                for (const [r, c] of placement.cells) {
-                    usedCells.add(`${r},${c}`);
-                    rowCounts[r]++;
-                    colCounts[c]++;
-                }
-
-                // Recurse
-                const shouldStop = backtrack(i + 1);
-                if (shouldStop) return true;
-
-                // Backtrack
-                currentPlacements.pop();
-                usedShapeIndices.delete(i);
-                for (const [r, c] of placement.cells) {
-                    usedCells.delete(`${r},${c}`);
-                    rowCounts[r]--;
-                    colCounts[c]--;
-                }
-            }
-        }
-
-        return false;
-    }
-
-    backtrack(0);
-    return solutions;
-}
+// Events recordSearch keeps before it stops the search
+const SEARCH_EVENT_LIMIT = 20000;
 
 /**
- * Simplified version for blue (doesn't need to track indices for further use)
+ * Run the backtracking search as runSolverWithShapeCounts does, recording what it does so the
+ * page can replay it
+ * Events, in the order they happen (node is the search node count at the time):
+ *   { type: 'place', node, color, shapeId, cells }        a placement keeps within the counts, the search goes deeper
+ *   { type: 'prune', node, color, shapeId, cells, line }  a placement is ruled out; with shapeId null,
+ *                                                          leaving cells[0] empty is ruled out
+ *   { type: 'backtrack', node, color, shapeId, cells }    the last piece placed is taken off again
+ *   { type: 'solution', node, solutionCount }             every requirement is met
+ * A prune's line is { type: 'row' | 'col', index, reason }: reason 'over' when the line would get
+ * more cells of the color than it needs (countsExceed), 'room' when it has too few open cells left
+ * for what it still needs.
+ * options: as for runSolverWithShapeCounts, plus eventLimit (the engine is always backtrack)
+ * Returns { events, truncated, result }; truncated means the search was stopped at eventLimit
  */
-function solveForColorWithCountsSimple(color, shapeInstances, placementsByShape, gridRows, gridCols, rowReqs, colReqs, forbiddenCells) {
-    const solutions = [];
-    const forbiddenSet = new Set(forbiddenCells.map(([r, c]) => `${r},${c}`));
-
-    const rowCounts = Array(gridRows).fill(0);
-    const colCounts = Array(gridCols).fill(0);
-    const usedCells = new Set();
-    const currentPlacements = [];
-
-    function backtrack(instanceIdx) {
-        // Check if we've satisfied requirements
-        if (countsMatch(rowCounts, colCounts, rowReqs, colReqs, color)) {
-            solutions.push({
-                placements: [...currentPlacements],
-                cells: Array.from(usedCells).map(s => s.split(',').map(Number))
-            });
-            if (solutions.length >= 100) return true;
-        }
-
-        // Pruning
-        if (countsExceed(rowCounts, colCounts, rowReqs, colReqs, color)) {
-            return false;
-        }
-
-        for (let i = instanceIdx; i < shapeInstances.length; i++) {
-            const shapeId = shapeInstances[i];
-            const placements = placementsByShape[shapeId];
-
-            for (const placement of placements) {
-                const overlaps = placement.cells.some(([r, c]) =>
-                    usedCells.has(`${r},${c}`) || forbiddenSet.has(`${r},${c}`)
-                );
-                if (overlaps) continue;
-
-                currentPlacements.push(placement);
-                for (const [r, c] of placement.cells) {
-                    usedCells.add(`${r},${c}`);
-                    rowCounts[r]++;
-                    colCounts[c]++;
-                }
-
-                const shouldStop = backtrack(i + 1);
-                if (shouldStop) return true;
-
-                currentPlacements.pop();
-                for (const [r, c] of placement.cells) {
-                    usedCells.delete(`${r},${c}`);
-                    rowCounts[r]--;
-                    colCounts[c]--;
-                }
-            }
+function recordSearch(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors = ['green', 'blue'], options = {}) {
+    const eventLimit = options.eventLimit || SEARCH_EVENT_LIMIT;
+    const events = [];
+    let truncated = false;
+
+    const result = runSolverWithShapeCounts(gridRows, gridCols, gridState, rowReqs, colReqs, shapeCounts, colors, {
+        ...options,
+        engine: 'backtrack',
+        onEvent: event => {
+            events.push(event);
+            truncated = events.length >= eventLimit;
+            return !truncated;
         }
+    });
 
-        return false;
-    }
+    return { events, truncated, result };
+}
 
-    backtrack(0);
-    return solutions;
+// Node loads the solver as a CommonJS module (require, or import from ES modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROGRESS_INTERVAL,
+        SEARCH_EVENT_LIMIT,
+        generatePlacementsForShape,
+        generatePlacementsForPiece,
+        generateAllPlacements,
+        calculateCounts,
+        countsMatch,
+        countsExceed,
+        hasColorRequirement,
+        removeLockedCells,
+        getBlockedCells,
+        getPinnedCells,
+        getCellPins,
+        lockPinnedPieces,
+        addPinnedPieces,
+        isColorInventory,
+        getInventoryShapeIds,
+        mergeInventory,
+        mergeChiralCounts,
+        buildSolution,
+        getSolutionLimits,
+        describeSolutionCount,
+        searchLayouts,
+        searchLayoutsDLX,
+        SOLVER_ENGINES,
+        runSolver,
+        completeSolution,
+        withCompleteSolutions,
+        getCellCountGrids,
+        getSolutionPieces,
+        validateBoard,
+        diagnoseBoard,
+        findConflictingLines,
+        findPuzzleHint,
+        runFitAllPiecesSolver,
+        runSolverWithShapeCounts,
+        recordSearch
+    };
 }
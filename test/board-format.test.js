@@ -0,0 +1,79 @@
+/**
+ * Tests for the board format: export and import of solver setups, including pinned cells and pieces
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BOARD_FORMAT_VERSION, serializeBoard, parseBoard } = require('../board-format.js');
+
+function lineRequirements(count, values) {
+    return Array.from({ length: count }, (_, i) => ({ green: values[i] || 0, blue: 0, red: 0, purple: 0 }));
+}
+
+test('pinned cells and pinned pieces survive a round trip', () => {
+    const gridState = [
+        ['empty', 'empty', 'blocked', 'empty'],
+        ['pinned-green', 'empty', 'empty', 'locked-blue'],
+        ['empty', 'empty', 'pinned-blue', 'empty']
+    ];
+    const requirements = { rows: lineRequirements(3, [2, 1, 3]), cols: lineRequirements(4, [3, 2, 1, 0]) };
+    const pinnedPieces = [{ shapeId: 'L-4', color: 'green', rotationIndex: 2, cells: [[0, 0], [0, 1], [1, 1], [2, 1]] }];
+
+    const board = serializeBoard(3, 4, gridState, requirements, { 'L-4': 2 }, ['green', 'blue'], pinnedPieces);
+    assert.equal(board.version, BOARD_FORMAT_VERSION);
+    assert.deepEqual(board.grid, ['..#.', 'G..b', '..B.']);
+    assert.deepEqual(board.pins, [{ shapeId: 'L-4', color: 'green', rotation: 2, cells: [[0, 0], [0, 1], [1, 1], [2, 1]] }]);
+
+    // Through JSON, as export and share links store it
+    const parsed = parseBoard(JSON.parse(JSON.stringify(board)));
+    assert.deepEqual(parsed.gridState, gridState);
+    assert.deepEqual(parsed.pinnedPieces, pinnedPieces);
+    assert.deepEqual(parsed.requirements, requirements);
+    assert.deepEqual(parsed.shapeCounts, { 'L-4': 2 });
+});
+
+test('boards without pins have none', () => {
+    const board = serializeBoard(2, 2, [['empty', 'empty'], ['empty', 'empty']],
+        { rows: lineRequirements(2, []), cols: lineRequirements(2, []) }, { 'square-4': 1 }, ['green']);
+    assert.equal(board.pins, undefined);
+    assert.deepEqual(parseBoard(board).pinnedPieces, []);
+
+    // Version 2 boards predate pins and still load
+    assert.deepEqual(parseBoard({ ...board, version: 2 }).pinnedPieces, []);
+});
+
+test('pins with an unknown shape, cells off the board or cells unlike their shape are rejected', () => {
+    const board = {
+        version: BOARD_FORMAT_VERSION,
+        rows: 3,
+        cols: 3,
+        grid: ['...', '...', '...'],
+        shapes: { 'square-4': 1 }
+    };
+    const square = [[1, 1], [1, 2], [2, 1], [2, 2]];
+    const withPin = pin => ({ ...board, pins: [{ shapeId: 'square-4', color: 'green', rotation: 0, cells: square, ...pin }] });
+
+    assert.deepEqual(parseBoard(withPin({})).pinnedPieces[0].cells, square);
+    assert.throws(() => parseBoard(withPin({ shapeId: 'nope' })), /Unknown shape "nope" in pin 1/);
+    assert.throws(() => parseBoard(withPin({ color: 'teal' })), /Pin 1 color must be one of/);
+    assert.throws(() => parseBoard(withPin({ rotation: 1 })), /Pin 1 rotation must be a whole number from 0 to 0/);
+    assert.throws(() => parseBoard(withPin({ cells: [[1, 1], [1, 2], [2, 1], [3, 1]] })),
+        /Pin 1 needs a list of \[row, col\] cells on the board/);
+    assert.throws(() => parseBoard(withPin({ cells: [[0, 0]] })), /Pin 1 cells are not a .* in rotation 0/);
+    assert.throws(() => parseBoard(withPin({ cells: [[0, 0], [0, 1], [0, 2], [1, 0]] })), /Pin 1 cells are not a/);
+});
+
+test('pins may use a custom shape the board brings', () => {
+    const board = {
+        version: BOARD_FORMAT_VERSION,
+        rows: 3,
+        cols: 3,
+        grid: ['...', '...', '...'],
+        shapes: { 'custom-bar': 1 },
+        customShapes: { 'custom-bar': { name: 'Bar', cells: [[0, 0], [0, 1]], allowReflection: false } },
+        pins: [{ shapeId: 'custom-bar', color: 'blue', rotation: 1, cells: [[1, 2], [2, 2]] }]
+    };
+    assert.deepEqual(parseBoard(board).pinnedPieces,
+        [{ shapeId: 'custom-bar', color: 'blue', rotationIndex: 1, cells: [[1, 2], [2, 2]] }]);
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for the deduction solver: justified steps, guesses and contradictions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runDeductionSolver } = require('../deduction.js');
+const { validateBoard, getSolutionPieces } = require('../solver.js');
+const { PuzzleGenerator } = require('../puzzle-generator.js');
+
+function emptyGrid(rows, cols) {
+    return Array.from({ length: rows }, () => Array(cols).fill('empty'));
+}
+
+function assertSolves(result, board) {
+    assert.equal(result.success, true, result.message);
+    const { valid, issues } = validateBoard({ ...board, pieces: getSolutionPieces(result.solution, board.colors) });
+    assert.ok(valid, issues.map(issue => issue.message).join('; '));
+}
+
+test('a board of forced lines is solved without guessing', () => {
+    // Row 1 needs three green and nothing else can be green
+    const board = {
+        gridRows: 2, gridCols: 3, gridState: emptyGrid(2, 3), colors: ['green'],
+        rowReqs: [{ green: 3 }, { green: 0 }], colReqs: [{ green: 1 }, { green: 1 }, { green: 1 }]
+    };
+    const result = runDeductionSolver(2, 3, board.gridState, board.rowReqs, board.colReqs, { 'line-3': 1 }, board.colors);
+
+    assertSolves(result, board);
+    assert.equal(result.guesses, 0);
+    assert.deepEqual(result.steps.map(step => step.rule), ['line-done', 'line-full', 'only-cover']);
+    assert.ok(result.steps.every(step => !step.guess));
+
+    const [empty, full, place] = result.steps;
+    assert.equal(empty.message, 'Row 2 has every colored cell it needs, so the rest of it stays empty');
+    assert.deepEqual(empty.decided.map(({ value }) => value), ['empty', 'empty', 'empty']);
+    assert.deepEqual(full.lines, [{ type: 'row', index: 0, color: 'green' }]);
+    assert.deepEqual(full.decided, [
+        { cell: [0, 0], value: 'green' }, { cell: [0, 1], value: 'green' }, { cell: [0, 2], value: 'green' }
+    ]);
+    assert.equal(place.piece.shapeId, 'line-3');
+    assert.deepEqual(place.piece.cells, [[0, 0], [0, 1], [0, 2]]);
+});
+
+test('locked cells count toward the requirements', () => {
+    const gridState = [['locked-green', 'empty', 'empty'], ['empty', 'empty', 'empty']];
+    const board = {
+        gridRows: 2, gridCols: 3, gridState, colors: ['green'],
+        rowReqs: [{ green: 1 }, { green: 3 }], colReqs: [{ green: 2 }, { green: 1 }, { green: 1 }]
+    };
+    const result = runDeductionSolver(2, 3, gridState, board.rowReqs, board.colReqs, { 'line-3': 1 }, board.colors);
+
+    assertSolves(result, board);
+    assert.equal(result.guesses, 0);
+    assert.deepEqual(result.solution.greenPlacements.map(placement => placement.cells), [[[1, 0], [1, 1], [1, 2]]]);
+});
+
+test('pinned cells start out known to be their color', () => {
+    // Two L pieces fill this board two ways; only one of them makes the top right corner green
+    const gridState = [['empty', 'empty', 'pinned-green'], ['empty', 'empty', 'empty'], ['empty', 'empty', 'empty']];
+    const board = {
+        gridRows: 3, gridCols: 3, gridState, colors: ['green'],
+        rowReqs: [{ green: 2 }, { green: 2 }, { green: 2 }], colReqs: [{ green: 2 }, { green: 3 }, { green: 1 }]
+    };
+    const result = runDeductionSolver(3, 3, gridState, board.rowReqs, board.colReqs, { 'L-3': 2 }, board.colors);
+    assertSolves(result, board);
+    assert.equal(result.guesses, 0);
+    assert.equal(result.steps[0].message, 'Column 3 has every colored cell it needs, so the rest of it stays empty');
+
+    gridState[0][2] = 'empty';
+    gridState[1][2] = 'pinned-green';
+    const none = runDeductionSolver(3, 3, gridState, board.rowReqs, board.colReqs, { 'L-3': 2 }, board.colors);
+    assert.equal(none.success, false);
+});
+
+test('a piece that has to be used and fits in one place goes there', () => {
+    // The square only fits in the open right half
+    const gridState = [['blocked', 'empty', 'empty'], ['empty', 'empty', 'empty']];
+    const board = {
+        gridRows: 2, gridCols: 3, gridState, colors: ['green'],
+        rowReqs: [{ green: 2 }, { green: 2 }], colReqs: [{ green: 0 }, { green: 2 }, { green: 2 }]
+    };
+    const result = runDeductionSolver(2, 3, gridState, board.rowReqs, board.colReqs, { 'square-4': 1 }, board.colors,
+        { requireAllPieces: true });
+
+    assertSolves(result, board);
+    assert.equal(result.guesses, 0);
+});
+
+test('guesses are marked and the board is still solved', () => {
+    // Two lines and two squares fill a 4x4 board in six ways, so deduction alone cannot pick one
+    const board = {
+        gridRows: 4, gridCols: 4, gridState: emptyGrid(4, 4), colors: ['green'],
+        rowReqs: Array(4).fill({ green: 4 }), colReqs: Array(4).fill({ green: 4 })
+    };
+    const result = runDeductionSolver(4, 4, board.gridState, board.rowReqs, board.colReqs, { 'line-4': 2, 'square-4': 2 },
+        board.colors, { requireAllPieces: true });
+
+    assertSolves(result, board);
+    assert.ok(result.guesses > 0);
+    assert.equal(result.steps.filter(step => step.guess).length, result.guesses);
+    for (const step of result.steps.filter(step => step.guess)) {
+        assert.equal(step.rule, 'guess');
+        assert.match(step.message, /^Guess: /);
+    }
+});
+
+test('a board with no solution names the contradiction', () => {
+    const result = runDeductionSolver(2, 3, emptyGrid(2, 3), [{ green: 3 }, { green: 0 }],
+        [{ green: 1 }, { green: 1 }, { green: 1 }], { 'square-4': 1 }, ['green']);
+
+    assert.equal(result.success, false);
+    assert.equal(result.complete, true);
+    assert.equal(result.solution, null);
+    assert.equal(result.message, 'No solution: No green piece can still cover row 1, column 1');
+    assert.ok(result.steps.length > 0);
+});
+
+test('each color only uses its own pieces', () => {
+    const board = {
+        gridRows: 2, gridCols: 4, gridState: emptyGrid(2, 4), colors: ['green', 'blue'],
+        rowReqs: [{ green: 2, blue: 2 }, { green: 2, blue: 2 }],
+        colReqs: [{ green: 2, blue: 0 }, { green: 2, blue: 0 }, { green: 0, blue: 2 }, { green: 0, blue: 2 }]
+    };
+    const solvable = runDeductionSolver(2, 4, board.gridState, board.rowReqs, board.colReqs,
+        { green: { 'square-4': 1 }, blue: { 'square-4': 1 } }, board.colors);
+    assertSolves(solvable, board);
+
+    const unsolvable = runDeductionSolver(2, 4, board.gridState, board.rowReqs, board.colReqs,
+        { green: { 'square-4': 1 }, blue: { 'line-4': 1 } }, board.colors);
+    assert.equal(unsolvable.success, false);
+    assert.equal(unsolvable.complete, true);
+});
+
+test('the solver gives up at the guess limit', () => {
+    const result = runDeductionSolver(4, 4, emptyGrid(4, 4), Array(4).fill({ green: 4 }), Array(4).fill({ green: 4 }),
+        { 'line-4': 2, 'square-4': 2 }, ['green'], { requireAllPieces: true, guessLimit: 1 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.complete, false);
+    assert.equal(result.message, 'Gave up after 1 guess');
+});
+
+test('generated puzzles are solved step by step', () => {
+    for (let seed = 1; seed <= 12; seed++) {
+        const colors = ['green', 'blue', 'red'].slice(0, 1 + seed % 3);
+        const size = 4 + seed % 3;
+        const puzzle = PuzzleGenerator.generate({ gridRows: size, gridCols: size, colors, blockers: seed % 2 === 0, locks: seed % 3 === 0, quiet: true, seed });
+        if (!puzzle) continue;
+
+        const gridState = puzzle.grid.map(row => row.map(cell => cell === 'blocked' || cell.startsWith('locked-') ? cell : 'empty'));
+        const inventory = Object.fromEntries(colors.map(color => [color, {}]));
+        for (const color of colors) {
+            for (const piece of puzzle.shapes[color] || []) {
+                inventory[color][piece.shapeId] = (inventory[color][piece.shapeId] || 0) + 1;
+            }
+        }
+
+        const board = { gridRows: size, gridCols: size, gridState, rowReqs: puzzle.requirements.rows, colReqs: puzzle.requirements.cols, colors };
+        const result = runDeductionSolver(size, size, gridState, board.rowReqs, board.colReqs, inventory, colors, { requireAllPieces: true });
+        assertSolves(result, { ...board, remaining: 0 });
+
+        // Replaying the decided cells gives the solution's colors
+        const replayed = new Map();
+        result.steps.forEach(step => step.decided.forEach(({ cell: [r, c], value }) => replayed.set(`${r},${c}`, value)));
+        for (const color of colors) {
+            for (const [r, c] of result.solution[color]) {
+                assert.equal(replayed.get(`${r},${c}`), color, `seed ${seed}: row ${r + 1}, column ${c + 1}`);
+            }
+        }
+    }
+});
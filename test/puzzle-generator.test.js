@@ -0,0 +1,165 @@
+/**
+ * Property-based test for the puzzle generator: every puzzle it returns is solvable
+ * and its requirements are the ones its own layout produces. Also covers puzzle ratings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PuzzleGenerator,
+    createSeededRandom,
+    DIFFICULTY_RATING_BANDS,
+    ratePuzzle,
+    getRatingDifficulty,
+    getRatingDistance,
+    getRetrySeed,
+    generateRatedPuzzle
+} = require('../puzzle-generator.js');
+const { runSolverWithShapeCounts, removeLockedCells, validateBoard } = require('../solver.js');
+
+const ALL_COLORS = ['green', 'blue', 'red', 'purple'];
+const PUZZLE_COUNT = 40;
+
+/**
+ * A random small generator config; the same seed always gives the same config
+ */
+function randomConfig(seed) {
+    const random = createSeededRandom(seed);
+    const size = 4 + Math.floor(random() * 3);
+    return {
+        gridRows: size,
+        gridCols: size,
+        colors: ALL_COLORS.slice(0, 1 + Math.floor(random() * 3)),
+        blockers: random() < 0.5,
+        locks: random() < 0.5,
+        uniqueSolution: random() < 0.3,
+        quiet: true,
+        seed
+    };
+}
+
+/**
+ * Requirements counted from a finished grid (placed colors plus locked cells)
+ */
+function countRequirements(grid, colors) {
+    const colorOf = cell => cell.startsWith('locked-') ? cell.slice(7) : cell;
+    const count = cells => Object.fromEntries(colors.map(color => [color, cells.filter(cell => colorOf(cell) === color).length]));
+    return {
+        rows: grid.map(row => count(row)),
+        cols: grid[0].map((_, c) => count(grid.map(row => row[c])))
+    };
+}
+
+/**
+ * The board a player sees: blocked and locked cells stay, placed colors become empty
+ */
+function playerGrid(grid) {
+    return grid.map(row => row.map(cell => cell === 'blocked' || cell.startsWith('locked-') ? cell : 'empty'));
+}
+
+for (let i = 0; i < PUZZLE_COUNT; i++) {
+    const config = randomConfig(1000 + i);
+    const features = [config.blockers && 'blockers', config.locks && 'locks', config.uniqueSolution && 'unique']
+        .filter(Boolean).join(', ') || 'no extras';
+
+    test(`generated ${config.gridRows}x${config.gridCols} ${config.colors.join('/')} puzzle (${features}, seed ${config.seed})`, () => {
+        const puzzle = PuzzleGenerator.generate(config);
+        assert.ok(puzzle, 'the generator gave up on this config');
+
+        const { gridRows, gridCols, colors } = config;
+        const gridState = playerGrid(puzzle.grid);
+        const rowReqs = puzzle.requirements.rows;
+        const colReqs = puzzle.requirements.cols;
+
+        // The requirements are exactly what the hidden layout fills in
+        assert.deepEqual({ rows: rowReqs, cols: colReqs }, countRequirements(puzzle.grid, colors));
+
+        // The generator's own pieces solve the board it describes
+        const pieces = colors.flatMap(color => (puzzle.shapes[color] || []).map(piece => ({ ...piece, color })));
+        const { valid, issues } = validateBoard({ gridRows, gridCols, gridState, rowReqs, colReqs, colors, pieces });
+        assert.ok(valid, issues.map(issue => issue.message).join('; '));
+
+        // The solver finds an answer with each color's own pieces, all of them placed
+        const inventory = Object.fromEntries(colors.map(color => [color, {}]));
+        for (const piece of pieces) {
+            inventory[piece.color][piece.shapeId] = (inventory[piece.color][piece.shapeId] || 0) + 1;
+        }
+        const unlocked = removeLockedCells(gridRows, gridCols, gridState, rowReqs, colReqs, colors);
+        const result = runSolverWithShapeCounts(gridRows, gridCols, unlocked.gridState, unlocked.rowReqs, unlocked.colReqs,
+            inventory, colors, { maxSolutions: 1, countLimit: 2, requireAllPieces: true });
+        assert.ok(result.solutionCount >= 1, 'the solver found no solution');
+
+        if (puzzle.uniqueSolution) {
+            assert.equal(result.solutionCount, 1, 'a unique puzzle has a second solution');
+            assert.equal(result.complete, true);
+        }
+    });
+}
+
+test('rating bands cover every score from zero up', () => {
+    assert.equal(getRatingDifficulty(0), 'easy');
+    for (const [difficulty, minimum] of Object.entries(DIFFICULTY_RATING_BANDS)) {
+        assert.equal(getRatingDifficulty(minimum), difficulty);
+        assert.equal(getRatingDistance(minimum, difficulty), 0);
+        if (minimum > 0) {
+            assert.notEqual(getRatingDifficulty(minimum - 1), difficulty);
+            assert.equal(getRatingDistance(minimum - 1, difficulty), 1);
+        }
+    }
+    assert.equal(getRatingDifficulty(100000), 'master');
+    assert.equal(getRatingDistance(DIFFICULTY_RATING_BANDS.hard, 'easy'), DIFFICULTY_RATING_BANDS.hard - DIFFICULTY_RATING_BANDS.medium + 1);
+});
+
+test('a rating is worked out from the puzzle and its band', () => {
+    const config = { gridRows: 5, gridCols: 5, colors: ['green', 'blue'], blockers: true, locks: true, uniqueSolution: true, quiet: true, seed: 42 };
+    const puzzle = PuzzleGenerator.generate(config);
+    const rating = ratePuzzle(puzzle, config.colors);
+
+    const pieces = config.colors.reduce((total, color) => total + (puzzle.shapes[color] || []).length, 0);
+    assert.equal(rating.pieces, pieces);
+    assert.ok(rating.score >= pieces);
+    assert.ok(rating.nodesExplored > 0);
+    assert.equal(rating.difficulty, getRatingDifficulty(rating.score));
+    assert.equal(rating.depth === 3, rating.guesses > 0);
+
+    // The same puzzle always gets the same rating
+    assert.deepEqual(ratePuzzle(PuzzleGenerator.generate(config), config.colors), rating);
+});
+
+test('puzzles that take guessing rate higher than ones solved by line rules', () => {
+    const lines = PuzzleGenerator.generate({ gridRows: 4, gridCols: 4, colors: ['green'], blockers: true, locks: true, uniqueSolution: true, quiet: true, seed: 2 });
+    const open = PuzzleGenerator.generate({ gridRows: 8, gridCols: 8, colors: ['green'], blockers: true, uniqueSolution: true, quiet: true, seed: 12 });
+    const easy = ratePuzzle(lines, ['green']);
+    const hard = ratePuzzle(open, ['green']);
+
+    assert.equal(easy.guesses, 0);
+    assert.ok(hard.guesses > 0);
+    assert.ok(hard.score > easy.score);
+});
+
+for (const difficulty of ['easy', 'medium']) {
+    test(`a rated ${difficulty} puzzle is rated in its band and its seed reproduces it`, () => {
+        const { puzzle, config } = generateRatedPuzzle(difficulty, 77, { quiet: true });
+        assert.equal(puzzle.rating.difficulty, difficulty);
+        assert.equal(puzzle.seed, 77);
+
+        assert.deepEqual(generateRatedPuzzle(difficulty, 77, { quiet: true }).puzzle, puzzle);
+
+        // The retry's own seed reproduces it through generate
+        const again = PuzzleGenerator.generate({ ...config, seed: getRetrySeed(77, puzzle.retry), quiet: true });
+        assert.deepEqual(again.grid, puzzle.grid);
+        assert.deepEqual(ratePuzzle(again, config.colors), puzzle.rating);
+    });
+}
+
+test('neighbouring seeds give different rated puzzles', () => {
+    for (const difficulty of ['easy', 'hard']) {
+        const grids = [1, 2, 3, 4, 5].map(seed => JSON.stringify(generateRatedPuzzle(difficulty, seed, { quiet: true }).puzzle.grid));
+        assert.equal(new Set(grids).size, grids.length, difficulty);
+    }
+});
+
+test('an unknown difficulty has no rated puzzle', () => {
+    assert.equal(generateRatedPuzzle('impossible', 1), null);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the screenshot reader's requirement pip counting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countScreenshotPips } = require('../screenshot-reader.js');
+
+const GREY = [40, 40, 40];
+const GREEN = [60, 200, 40];
+const BLUE = [30, 170, 230];
+
+/**
+ * A horizontal strip as canvas ImageData, with columns [start, end) painted rgb over grey
+ */
+function createStrip(width, height, spans) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let x = 0; x < width; x++) {
+        const span = spans.find(([start, end]) => x >= start && x < end);
+        const [red, green, blue] = span ? span[2] : GREY;
+        for (let y = 0; y < height; y++) {
+            const i = (y * width + x) * 4;
+            data.set([red, green, blue, 255], i);
+        }
+    }
+    return { width, height, data };
+}
+
+test('pips are counted walking left from the grid edge', () => {
+    // Grid edge at x = 99; two green pips and one blue pip in the margin
+    const image = createStrip(100, 5, [[88, 94, GREEN], [78, 84, GREEN], [68, 74, BLUE]]);
+    assert.deepEqual(countScreenshotPips(image, 99, 2, -1, 0, 20), { green: 2, blue: 1 });
+});
+
+test('the walk stops after a cell of gap once pips have been found', () => {
+    // The blue button far to the left lies past the gap after the last pip
+    const image = createStrip(100, 5, [[88, 94, GREEN], [10, 30, BLUE]]);
+    assert.deepEqual(countScreenshotPips(image, 99, 2, -1, 0, 20), { green: 1 });
+});
+
+test('a line without pips stops after a cell of gap instead of counting far-off UI', () => {
+    const image = createStrip(100, 5, [[10, 30, BLUE], [40, 45, GREEN]]);
+    assert.deepEqual(countScreenshotPips(image, 99, 2, -1, 0, 20), {});
+});
+
+test('pips above a column are counted walking up', () => {
+    // Transpose the strip: a 5-wide column with pips at rows 88-93 and 78-83
+    const strip = createStrip(100, 5, [[88, 94, BLUE], [78, 84, BLUE]]);
+    const data = new Uint8ClampedArray(strip.data.length);
+    for (let y = 0; y < 100; y++) {
+        for (let x = 0; x < 5; x++) {
+            data.set(strip.data.subarray((x * 100 + y) * 4, (x * 100 + y) * 4 + 4), (y * 5 + x) * 4);
+        }
+    }
+    const image = { width: 5, height: 100, data };
+    assert.deepEqual(countScreenshotPips(image, 2, 99, 0, -1, 20), { blue: 2 });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the shape library: rotations, mirror images and custom shape storage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SHAPE_DEFINITIONS,
+    SHAPE_LIBRARY,
+    getAllRotations,
+    shapesEqual,
+    getShapeVariants,
+    setShapeStorage
+} = require('../shapes.js');
+
+// Distinct rotations of every built-in shape
+const ROTATION_COUNTS = {
+    'square-4': 1,
+    'double-square-7': 2,
+    'line-3': 2,
+    'line-4': 2,
+    'L-3': 4,
+    'L-4': 4,
+    'L-5': 4,
+    'T-4': 4,
+    'T-6': 4,
+    'cross-5': 1,
+    'J-6': 4,
+    'zigzag-6': 2,
+    'Z-4': 2
+};
+
+// Built-in shapes whose mirror image is not one of their rotations
+const CHIRAL_SHAPES = ['L-4', 'T-6', 'J-6', 'zigzag-6', 'Z-4'];
+
+const cellKey = cells => cells.map(([r, c]) => `${r},${c}`).sort().join(' ');
+
+test('every built-in shape has a known rotation count', () => {
+    assert.deepEqual(Object.keys(ROTATION_COUNTS).sort(), Object.keys(SHAPE_DEFINITIONS).sort());
+});
+
+for (const [id, definition] of Object.entries(SHAPE_DEFINITIONS)) {
+    test(`getAllRotations gives ${ROTATION_COUNTS[id]} distinct rotation(s) of ${id}`, () => {
+        const rotations = getAllRotations(definition.cells);
+        assert.equal(rotations.length, ROTATION_COUNTS[id]);
+        assert.equal(new Set(rotations.map(cellKey)).size, rotations.length);
+
+        for (const rotation of rotations) {
+            assert.equal(rotation.length, definition.cells.length);
+            assert.equal(Math.min(...rotation.map(([r]) => r)), 0);
+            assert.equal(Math.min(...rotation.map(([, c]) => c)), 0);
+        }
+    });
+}
+
+test('chiral shapes get a mirror entry and the others do not', () => {
+    for (const id of Object.keys(SHAPE_DEFINITIONS)) {
+        const mirrorId = `${id}-mirror`;
+        if (CHIRAL_SHAPES.includes(id)) {
+            assert.ok(SHAPE_LIBRARY[mirrorId], `${mirrorId} is missing`);
+            assert.equal(SHAPE_LIBRARY[id].chiralPartner, mirrorId);
+            assert.equal(SHAPE_LIBRARY[mirrorId].chiralPartner, id);
+            assert.equal(SHAPE_LIBRARY[mirrorId].rotations.length, ROTATION_COUNTS[id]);
+            for (const rotation of SHAPE_LIBRARY[mirrorId].rotations) {
+                assert.ok(!SHAPE_LIBRARY[id].rotations.some(other => shapesEqual(other, rotation)),
+                    `${mirrorId} repeats a rotation of ${id}`);
+            }
+        } else {
+            assert.equal(SHAPE_LIBRARY[mirrorId], undefined);
+        }
+    }
+    assert.equal(Object.keys(SHAPE_LIBRARY).length, Object.keys(SHAPE_DEFINITIONS).length + CHIRAL_SHAPES.length);
+});
+
+test('getShapeVariants adds the mirror only when reflection is allowed', () => {
+    assert.deepEqual(getShapeVariants('L-4'), ['L-4']);
+    assert.deepEqual(getShapeVariants('L-4', true), ['L-4', 'L-4-mirror']);
+    assert.deepEqual(getShapeVariants('square-4', true), ['square-4']);
+});
+
+test('setShapeStorage loads custom shapes from the given storage', (t) => {
+    t.after(() => setShapeStorage(null));
+
+    const saved = {
+        customShapes: JSON.stringify({
+            'custom-s': { name: 'S', cells: [[0, 1], [0, 2], [1, 0], [1, 1]], allowReflection: true }
+        })
+    };
+    setShapeStorage({ getItem: key => saved[key] ?? null });
+
+    assert.equal(SHAPE_LIBRARY['custom-s'].isCustom, true);
+    assert.equal(SHAPE_LIBRARY['custom-s'].rotations.length, 2);
+    assert.equal(SHAPE_LIBRARY['custom-s-mirror'].chiralPartner, 'custom-s');
+
+    setShapeStorage(null);
+    assert.equal(SHAPE_LIBRARY['custom-s'], undefined);
+    assert.ok(SHAPE_LIBRARY['square-4']);
+});
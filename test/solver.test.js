@@ -0,0 +1,454 @@
+/**
+ * Tests for the solver: known boards with known solution counts, false-negative regressions,
+ * cell counts across solutions, recorded searches and puzzle hints
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    runSolver,
+    runSolverWithShapeCounts,
+    runFitAllPiecesSolver,
+    validateBoard,
+    getSolutionPieces,
+    removeLockedCells,
+    lockPinnedPieces,
+    addPinnedPieces,
+    recordSearch,
+    findPuzzleHint
+} = require('../solver.js');
+
+const ENGINES = ['backtrack', 'dlx'];
+
+// Count every solution rather than stopping at the first few
+const COUNT_ALL = { maxSolutions: 0, countLimit: 1000000 };
+
+function emptyGrid(rows, cols) {
+    return Array.from({ length: rows }, () => Array(cols).fill('empty'));
+}
+
+/**
+ * Requirements from per-line counts listed in color order, e.g. [[3, 0], [0, 3]]
+ */
+function lineReqs(counts, colors) {
+    return counts.map(line => Object.fromEntries(colors.map((color, i) => [color, line[i] || 0])));
+}
+
+/**
+ * Assert that every returned solution fills the board's requirements
+ */
+function assertSolutionsValid(result, board) {
+    for (const solution of result.solutions || []) {
+        const { valid, issues } = validateBoard({ ...board, pieces: getSolutionPieces(solution, board.colors) });
+        assert.ok(valid, issues.map(issue => issue.message).join('; '));
+    }
+}
+
+const RUN_SOLVER_BOARDS = [
+    {
+        name: 'one line across the top of a 2x3 board',
+        rows: 2, cols: 3, colors: ['green'], shapes: ['line-3'],
+        rowReqs: [[3], [0]], colReqs: [[1], [1], [1]],
+        count: 1
+    },
+    {
+        name: 'a full 3x3 board of lines',
+        rows: 3, cols: 3, colors: ['green'], shapes: ['line-3'],
+        rowReqs: [[3], [3], [3]], colReqs: [[3], [3], [3]],
+        count: 2
+    },
+    {
+        name: 'a green row above two blue rows',
+        rows: 3, cols: 3, colors: ['green', 'blue'], shapes: ['line-3'],
+        rowReqs: [[3, 0], [0, 3], [0, 3]], colReqs: [[1, 2], [1, 2], [1, 2]],
+        count: 1
+    },
+    {
+        name: 'a full 4x4 board of squares and lines',
+        rows: 4, cols: 4, colors: ['green'], shapes: ['square-4', 'line-4'],
+        rowReqs: [[4], [4], [4], [4]], colReqs: [[4], [4], [4], [4]],
+        count: 9
+    }
+];
+
+for (const board of RUN_SOLVER_BOARDS) {
+    for (const engine of ENGINES) {
+        test(`runSolver (${engine}) finds ${board.count} solution(s) for ${board.name}`, () => {
+            const gridState = emptyGrid(board.rows, board.cols);
+            const rowReqs = lineReqs(board.rowReqs, board.colors);
+            const colReqs = lineReqs(board.colReqs, board.colors);
+            const result = runSolver(board.rows, board.cols, gridState, rowReqs, colReqs, board.shapes, board.colors,
+                { ...COUNT_ALL, engine });
+
+            assert.equal(result.solutionCount, board.count);
+            assert.equal(result.complete, true);
+            assertSolutionsValid(result, { gridRows: board.rows, gridCols: board.cols, gridState, rowReqs, colReqs, colors: board.colors });
+        });
+    }
+}
+
+const SHAPE_COUNT_BOARDS = [
+    {
+        name: 'four lines on a full 4x4 board',
+        rows: 4, cols: 4, colors: ['green'], shapeCounts: { 'line-4': 4 },
+        rowReqs: [[4], [4], [4], [4]], colReqs: [[4], [4], [4], [4]],
+        count: 2
+    },
+    {
+        name: 'two lines and two squares on a full 4x4 board',
+        rows: 4, cols: 4, colors: ['green'], shapeCounts: { 'line-4': 2, 'square-4': 2 },
+        rowReqs: [[4], [4], [4], [4]], colReqs: [[4], [4], [4], [4]],
+        count: 6
+    },
+    {
+        name: 'two L pieces on a full 2x4 board',
+        rows: 2, cols: 4, colors: ['green'], shapeCounts: { 'L-4': 2 },
+        rowReqs: [[4], [4]], colReqs: [[2], [2], [2], [2]],
+        count: 1
+    },
+    {
+        name: 'two L pieces on a full 2x4 board with mirrors allowed',
+        rows: 2, cols: 4, colors: ['green'], shapeCounts: { 'L-4': 2 }, options: { allowReflection: true },
+        rowReqs: [[4], [4]], colReqs: [[2], [2], [2], [2]],
+        count: 2
+    },
+    {
+        // An L and its mirror image are one piece each way round once mirrors are allowed
+        name: 'an L and its mirror on a full 2x4 board with mirrors allowed',
+        rows: 2, cols: 4, colors: ['green'], shapeCounts: { 'L-4': 1, 'L-4-mirror': 1 }, options: { allowReflection: true },
+        rowReqs: [[4], [4]], colReqs: [[2], [2], [2], [2]],
+        count: 2
+    },
+    {
+        name: 'a square for each color',
+        rows: 2, cols: 4, colors: ['green', 'blue'],
+        shapeCounts: { green: { 'square-4': 1 }, blue: { 'square-4': 1 } },
+        rowReqs: [[2, 2], [2, 2]], colReqs: [[2, 0], [2, 0], [0, 2], [0, 2]],
+        count: 1
+    },
+    {
+        name: 'a color inventory without the piece its lines need',
+        rows: 2, cols: 4, colors: ['green', 'blue'],
+        shapeCounts: { green: { 'square-4': 1 }, blue: { 'line-4': 1 } },
+        rowReqs: [[2, 2], [2, 2]], colReqs: [[2, 0], [2, 0], [0, 2], [0, 2]],
+        count: 0
+    }
+];
+
+for (const board of SHAPE_COUNT_BOARDS) {
+    for (const engine of ENGINES) {
+        test(`runSolverWithShapeCounts (${engine}) finds ${board.count} solution(s) for ${board.name}`, () => {
+            const gridState = emptyGrid(board.rows, board.cols);
+            const rowReqs = lineReqs(board.rowReqs, board.colors);
+            const colReqs = lineReqs(board.colReqs, board.colors);
+            const result = runSolverWithShapeCounts(board.rows, board.cols, gridState, rowReqs, colReqs, board.shapeCounts,
+                board.colors, { ...COUNT_ALL, ...board.options, engine });
+
+            assert.equal(result.solutionCount, board.count);
+            assert.equal(result.complete, true);
+            assertSolutionsValid(result, { gridRows: board.rows, gridCols: board.cols, gridState, rowReqs, colReqs, colors: board.colors });
+        });
+    }
+}
+
+const FIT_ALL_BOARDS = [
+    { name: 'one square on a 2x2 board', rows: 2, cols: 2, blocked: [], shapeCounts: { 'square-4': 1 }, count: 1 },
+    { name: 'three lines on a 3x3 board', rows: 3, cols: 3, blocked: [], shapeCounts: { 'line-3': 3 }, count: 2 },
+    { name: 'one line on a 3x3 board', rows: 3, cols: 3, blocked: [], shapeCounts: { 'line-3': 1 }, count: 6 },
+    { name: 'two Ls around a blocked center', rows: 3, cols: 3, blocked: [[1, 1]], shapeCounts: { 'L-3': 2 }, count: 2 },
+    { name: 'two L pieces on a 2x4 board', rows: 2, cols: 4, blocked: [], shapeCounts: { 'L-4': 2 }, count: 1 },
+    {
+        name: 'two L pieces on a 2x4 board with mirrors allowed',
+        rows: 2, cols: 4, blocked: [], shapeCounts: { 'L-4': 2 }, options: { allowReflection: true }, count: 2
+    },
+    {
+        name: 'an L and its mirror on a 2x4 board with mirrors allowed',
+        rows: 2, cols: 4, blocked: [], shapeCounts: { 'L-4': 1, 'L-4-mirror': 1 }, options: { allowReflection: true }, count: 2
+    },
+    { name: 'four Ts on a 4x4 board', rows: 4, cols: 4, blocked: [], shapeCounts: { 'T-4': 4 }, count: 2 },
+    { name: 'two crosses on a 3x3 board', rows: 3, cols: 3, blocked: [], shapeCounts: { 'cross-5': 2 }, count: 0 }
+];
+
+for (const board of FIT_ALL_BOARDS) {
+    test(`runFitAllPiecesSolver finds ${board.count} layout(s) for ${board.name}`, () => {
+        const result = runFitAllPiecesSolver(board.rows, board.cols, board.blocked, board.shapeCounts,
+            { ...COUNT_ALL, ...board.options });
+
+        assert.equal(result.success, board.count > 0);
+        assert.equal(result.solutionCount, board.count);
+        assert.equal(result.complete, true);
+
+        const blocked = new Set(board.blocked.map(([r, c]) => `${r},${c}`));
+        for (const solution of result.solutions || []) {
+            const cells = solution.green.map(([r, c]) => `${r},${c}`);
+            assert.equal(new Set(cells).size, cells.length, 'pieces overlap');
+            assert.ok(cells.every(cell => !blocked.has(cell)), 'a piece covers a blocked cell');
+        }
+    });
+}
+
+test('runFitAllPiecesSolver fails a shape that has nowhere to go', () => {
+    const result = runFitAllPiecesSolver(2, 2, [], { 'line-3': 1 });
+    assert.equal(result.success, false);
+});
+
+// Solving green first and keeping only its first 100 layouts found nothing here: every one of
+// them put a green line across the top-left cells, the only place the blue line fits.
+function greedyMissBoard() {
+    const size = 9;
+    const colors = ['green', 'blue'];
+    return {
+        size,
+        colors,
+        gridState: emptyGrid(size, size),
+        rowReqs: Array.from({ length: size }, (_, r) => ({ green: 3, blue: r === 0 ? 3 : 0 })),
+        colReqs: Array.from({ length: size }, (_, c) => ({ green: 3, blue: c < 3 ? 1 : 0 }))
+    };
+}
+
+test('runSolver finds the layout a green-first search missed', () => {
+    const { size, colors, gridState, rowReqs, colReqs } = greedyMissBoard();
+    const result = runSolver(size, size, gridState, rowReqs, colReqs, ['line-3'], colors, { maxSolutions: 5 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.solutions.length, 5);
+    assertSolutionsValid(result, { gridRows: size, gridCols: size, gridState, rowReqs, colReqs, colors });
+});
+
+test('runSolverWithShapeCounts finds the layout a green-first search missed', () => {
+    const { size, colors, gridState, rowReqs, colReqs } = greedyMissBoard();
+    const result = runSolverWithShapeCounts(size, size, gridState, rowReqs, colReqs, { 'line-3': 10 }, colors,
+        { maxSolutions: 5, requireAllPieces: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.solutions.length, 5);
+    assertSolutionsValid(result, { gridRows: size, gridCols: size, gridState, rowReqs, colReqs, colors, remaining: 0 });
+});
+
+test('both engines agree on the 6x6 version of the green-first miss', () => {
+    const size = 6;
+    const colors = ['green', 'blue'];
+    const rowReqs = Array.from({ length: size }, (_, r) => ({ green: 3, blue: r === 0 ? 3 : 0 }));
+    const colReqs = Array.from({ length: size }, (_, c) => ({ green: 3, blue: c < 3 ? 1 : 0 }));
+
+    for (const engine of ENGINES) {
+        const result = runSolver(size, size, emptyGrid(size, size), rowReqs, colReqs, ['line-3'], colors,
+            { ...COUNT_ALL, engine });
+        assert.equal(result.solutionCount, 15, engine);
+        assert.equal(result.complete, true, engine);
+    }
+});
+
+/**
+ * Cell counts tallied from a list of solutions, as returned with the cellCounts option
+ */
+function tallyCells(solutions, rows, cols, colors) {
+    const grids = Object.fromEntries(colors.map(color => [color, emptyGrid(rows, cols).map(row => row.map(() => 0))]));
+    for (const solution of solutions) {
+        for (const color of colors) {
+            for (const [r, c] of solution[color] || []) grids[color][r][c]++;
+        }
+    }
+    return grids;
+}
+
+for (const board of SHAPE_COUNT_BOARDS.filter(board => board.count > 0)) {
+    for (const engine of ENGINES) {
+        test(`cell counts (${engine}) add up every solution for ${board.name}`, () => {
+            const rowReqs = lineReqs(board.rowReqs, board.colors);
+            const colReqs = lineReqs(board.colReqs, board.colors);
+            const args = [board.rows, board.cols, emptyGrid(board.rows, board.cols), rowReqs, colReqs, board.shapeCounts, board.colors];
+            const all = runSolverWithShapeCounts(...args, { ...board.options, engine, maxSolutions: 1000 });
+            const counted = runSolverWithShapeCounts(...args, { ...COUNT_ALL, ...board.options, engine, cellCounts: true });
+
+            assert.equal(counted.solutions.length, 0);
+            assert.deepEqual(counted.cellCounts, tallyCells(all.solutions, board.rows, board.cols, board.colors));
+        });
+    }
+}
+
+test('cell counts show the cells every solution colors and the ones none does', () => {
+    // Two L pieces fill the 3x3 board two ways, mirror images of each other top to bottom
+    const colors = ['green', 'blue'];
+    const rowReqs = lineReqs([[2], [2], [2]], colors);
+    const colReqs = lineReqs([[2], [3], [1]], colors);
+
+    for (const engine of ENGINES) {
+        const result = runSolver(3, 3, emptyGrid(3, 3), rowReqs, colReqs, ['L-3'], colors, { ...COUNT_ALL, engine, cellCounts: true });
+        assert.equal(result.solutionCount, 2, engine);
+        assert.deepEqual(result.cellCounts.green, [[1, 2, 1], [2, 2, 0], [1, 2, 1]], engine);
+        assert.deepEqual(result.cellCounts.blue, emptyGrid(3, 3).map(row => row.map(() => 0)), engine);
+    }
+});
+
+test('pinned cells keep only the solutions that cover them in their color', () => {
+    // The 3x3 L board above: (0,0) is green in one of its two solutions, (1,2) in neither
+    const colors = ['green', 'blue'];
+    const rowReqs = lineReqs([[2], [2], [2]], colors);
+    const colReqs = lineReqs([[2], [3], [1]], colors);
+    const pinned = (r, c, color) => {
+        const gridState = emptyGrid(3, 3);
+        gridState[r][c] = `pinned-${color}`;
+        return gridState;
+    };
+
+    for (const engine of ENGINES) {
+        const solve = gridState => runSolverWithShapeCounts(3, 3, gridState, rowReqs, colReqs, { 'L-3': 2 }, colors, { ...COUNT_ALL, engine, maxSolutions: 10 });
+        const result = solve(pinned(0, 0, 'green'));
+        assert.equal(result.solutionCount, 1, engine);
+        assert.ok(result.solutions[0].green.some(([r, c]) => r === 0 && c === 0), engine);
+        assertSolutionsValid(result, { gridRows: 3, gridCols: 3, gridState: pinned(0, 0, 'green'), rowReqs, colReqs, colors });
+
+        assert.equal(solve(pinned(0, 0, 'blue')).solutionCount, 0, engine);
+        assert.equal(solve(pinned(1, 2, 'green')).solutionCount, 0, engine);
+    }
+});
+
+test('pinned pieces are taken off the board and added back to each solution', () => {
+    const colors = ['green', 'blue'];
+    const rowReqs = lineReqs([[2], [2], [2]], colors);
+    const colReqs = lineReqs([[2], [3], [1]], colors);
+    const piece = { shapeId: 'L-3', color: 'green', rotationIndex: 0, cells: [[1, 1], [2, 1], [2, 2]] };
+
+    const locked = lockPinnedPieces(3, 3, emptyGrid(3, 3), { 'L-3': 2 }, [piece], colors);
+    assert.deepEqual(locked.issues, []);
+    assert.deepEqual(locked.shapeCounts, { 'L-3': 1 });
+    assert.equal(locked.gridState[2][2], 'locked-green');
+
+    for (const engine of ENGINES) {
+        const unlocked = removeLockedCells(3, 3, locked.gridState, rowReqs, colReqs, colors);
+        const result = runSolverWithShapeCounts(3, 3, unlocked.gridState, unlocked.rowReqs, unlocked.colReqs,
+            locked.shapeCounts, colors, { engine, requireAllPieces: true });
+        assert.equal(result.solutionCount, 1, engine);
+        const solution = addPinnedPieces(result.solutions[0], [piece]);
+        assert.equal(solution.greenPlacements.length, 2, engine);
+        assertSolutionsValid({ solutions: [solution] }, { gridRows: 3, gridCols: 3, gridState: emptyGrid(3, 3), rowReqs, colReqs, colors });
+    }
+});
+
+test('a pinned mirror image only uses up its partner when mirrors are allowed', () => {
+    const colors = ['green'];
+    const piece = { shapeId: 'L-4-mirror', color: 'green', rotationIndex: 0, cells: [[0, 1], [1, 1], [2, 1], [2, 0]] };
+
+    const mirrored = lockPinnedPieces(3, 3, emptyGrid(3, 3), { 'L-4': 1 }, [piece], colors, { allowReflection: true });
+    assert.deepEqual(mirrored.issues, []);
+    assert.deepEqual(mirrored.shapeCounts, { 'L-4': 0 });
+
+    const { issues } = lockPinnedPieces(3, 3, emptyGrid(3, 3), { 'L-4': 1 }, [piece], colors);
+    assert.deepEqual(issues.map(issue => issue.message),
+        ['No 4-Block L (Mirror) pieces are left for the pinned green 4-Block L (Mirror)']);
+});
+
+test('pinned pieces that do not fit the board are reported', () => {
+    const colors = ['green', 'blue'];
+    const gridState = emptyGrid(3, 3);
+    gridState[0][0] = 'blocked';
+    gridState[2][2] = 'pinned-blue';
+    const pieces = [
+        { shapeId: 'L-3', color: 'green', rotationIndex: 1, cells: [[0, 1], [0, 0], [1, 0]] },
+        { shapeId: 'L-3', color: 'green', rotationIndex: 0, cells: [[1, 1], [2, 1], [2, 2]] },
+        { shapeId: 'line-3', color: 'green', rotationIndex: 0, cells: [[1, 0], [1, 1], [1, 2]] }
+    ];
+    const { issues } = lockPinnedPieces(3, 3, gridState, { 'L-3': 2 }, pieces, colors);
+    assert.deepEqual(issues.map(issue => issue.message), [
+        'The pinned green 3-Block L covers a blocked cell at row 1, column 1',
+        'The pinned green 3-Block L covers a cell pinned blue at row 3, column 3',
+        'Pinned pieces overlap at row 2, column 1',
+        'Pinned pieces overlap at row 2, column 2',
+        'No 3-Block Line pieces are left for the pinned green 3-Block Line'
+    ]);
+});
+
+for (const board of SHAPE_COUNT_BOARDS) {
+    test(`recordSearch replays to the same ${board.count} solution(s) for ${board.name}`, () => {
+        const rowReqs = lineReqs(board.rowReqs, board.colors);
+        const colReqs = lineReqs(board.colReqs, board.colors);
+        const { events, truncated, result } = recordSearch(board.rows, board.cols, emptyGrid(board.rows, board.cols),
+            rowReqs, colReqs, board.shapeCounts, board.colors, { ...COUNT_ALL, ...board.options });
+
+        assert.equal(truncated, false);
+        assert.equal(result.solutionCount, board.count);
+        assert.equal(events.filter(event => event.type === 'solution').length, board.count);
+
+        // Every backtrack takes off the piece placed last, and a finished search takes them all off
+        const placed = [];
+        for (const event of events) {
+            if (event.type === 'place') placed.push(event);
+            if (event.type === 'backtrack') assert.deepEqual(event, { ...placed.pop(), type: 'backtrack', node: event.node });
+        }
+        assert.deepEqual(placed, []);
+    });
+}
+
+test('recordSearch reports why each option was pruned', () => {
+    const colors = ['green'];
+    const rowReqs = lineReqs([[4], [4], [0], [0]], colors);
+    const colReqs = lineReqs([[2], [2], [2], [2]], colors);
+    const { events } = recordSearch(4, 4, emptyGrid(4, 4), rowReqs, colReqs, { 'line-4': 1, 'square-4': 2 }, colors);
+
+    assert.deepEqual(events.slice(0, 4).map(event => event.type), ['place', 'prune', 'prune', 'backtrack']);
+    const [line, square, empty] = events;
+    assert.deepEqual(line.cells, [[0, 0], [0, 1], [0, 2], [0, 3]]);
+
+    // A square under the line would put three green cells in column 1
+    assert.equal(square.shapeId, 'square-4');
+    assert.deepEqual(square.line, { type: 'col', index: 0, reason: 'over' });
+
+    // Row 2 needs all four of its cells, so its first cannot stay empty
+    assert.equal(empty.shapeId, null);
+    assert.deepEqual(empty.cells, [[1, 0]]);
+    assert.deepEqual(empty.line, { type: 'row', index: 1, reason: 'room' });
+});
+
+test('recordSearch stops the search at the event limit', () => {
+    const colors = ['green'];
+    const rowReqs = lineReqs([[4], [4], [4], [4]], colors);
+    const { events, truncated, result } = recordSearch(4, 4, emptyGrid(4, 4), rowReqs, rowReqs, { 'line-4': 2, 'square-4': 2 },
+        colors, { eventLimit: 5 });
+
+    assert.equal(events.length, 5);
+    assert.equal(truncated, true);
+    assert.equal(result.complete, false);
+});
+
+// A green 2x2 square at columns col and col + 1 of a two-row board
+function greenSquare(col) {
+    return { shapeId: 'square-4', color: 'green', cells: [[0, col], [0, col + 1], [1, col], [1, col + 1]] };
+}
+
+test('a hint places the topmost piece of a completion', () => {
+    const colors = ['green'];
+    const hint = findPuzzleHint(2, 4, emptyGrid(2, 4), lineReqs([[4], [4]], colors), lineReqs([[2], [2], [2], [2]], colors),
+        [], { green: { 'square-4': 2 } }, colors);
+    assert.deepEqual(hint, {
+        type: 'place',
+        piece: { ...greenSquare(0), rotationIndex: 0 },
+        line: { type: 'row', index: 0, color: 'green', need: 4 }
+    });
+});
+
+test('a hint removes a placed piece that blocks every completion', () => {
+    const colors = ['green'];
+
+    // The square in the middle leaves no room for the other one
+    const blocking = findPuzzleHint(2, 4, emptyGrid(2, 4), lineReqs([[4], [4]], colors), lineReqs([[2], [2], [2], [2]], colors),
+        [greenSquare(1)], { green: { 'square-4': 1 } }, colors);
+    assert.deepEqual(blocking, { type: 'remove', piece: greenSquare(1), line: null });
+
+    // The square overfills column 3, which is named
+    const overfilling = findPuzzleHint(2, 4, emptyGrid(2, 4), lineReqs([[2], [2]], colors), lineReqs([[2], [2], [0], [0]], colors),
+        [greenSquare(1)], { green: {} }, colors);
+    assert.deepEqual(overfilling, {
+        type: 'remove',
+        piece: greenSquare(1),
+        line: { type: 'col', index: 2, color: 'green', need: -2 }
+    });
+});
+
+test('there is no hint when the pieces left cannot complete the board', () => {
+    const colors = ['green'];
+    const hint = findPuzzleHint(2, 4, emptyGrid(2, 4), lineReqs([[2], [2]], colors), lineReqs([[2], [2], [0], [0]], colors),
+        [], { green: { 'line-3': 1 } }, colors);
+    assert.equal(hint, null);
+});